@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import Landing from './components/Landing';
 import SessionLobby from './components/SessionLobby';
@@ -14,13 +14,24 @@ const socket = io(window.location.origin, {
   reconnectionDelay: 1000
 });
 
+// Join a session's socket room
+function joinRoom(id) {
+  socket.emit('join_session', id);
+}
+
 function App() {
   const [view, setView] = useState('landing');
   const [sessionId, setSessionId] = useState(null);
   const [participantId, setParticipantId] = useState(null);
+  const [participantToken, setParticipantToken] = useState(null);
+  const [rejoinCode, setRejoinCode] = useState(null);
   const [sessionData, setSessionData] = useState(null);
   const [participantName, setParticipantName] = useState('');
+  const [savedProgress, setSavedProgress] = useState(null);
+  const [editingVotes, setEditingVotes] = useState(false);
+  const progressTimer = useRef(null);
   const [isHost, setIsHost] = useState(false);
+  const [hostToken, setHostToken] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [results, setResults] = useState(null);
 
@@ -31,26 +42,38 @@ function App() {
       setSessionId(id);
       setView('lobby');
       fetchSession(id);
-      socket.emit('join_session', id);
+      joinRoom(id);
 
       // Restore session state from localStorage
       const storedName = localStorage.getItem(`vibe_participant_${id}`);
       const storedParticipantId = localStorage.getItem(`vibe_participantId_${id}`);
-      const storedIsHost = localStorage.getItem(`vibe_isHost_${id}`);
+      const storedParticipantToken = localStorage.getItem(`vibe_participantToken_${id}`);
+      const storedRejoinCode = localStorage.getItem(`vibe_rejoinCode_${id}`);
+      const storedHostToken = localStorage.getItem(`vibe_hostToken_${id}`);
 
       if (storedName) {
         setParticipantName(storedName);
       }
       if (storedParticipantId) {
         setParticipantId(storedParticipantId);
+        setParticipantToken(storedParticipantToken);
+        setRejoinCode(storedRejoinCode);
       }
-      if (storedIsHost === 'true') {
+      if (storedHostToken) {
+        setHostToken(storedHostToken);
         setIsHost(true);
       }
 
       socket.on('connect', () => {
-        socket.emit('join_session', id);
+        joinRoom(id);
       });
+
+      // Magic rejoin link: /session/:id?rejoin=CODE
+      const linkCode = new URLSearchParams(window.location.search).get('rejoin');
+      if (linkCode) {
+        window.history.replaceState({}, '', `/session/${id}`);
+        rejoinSession(id, linkCode).catch(() => {});
+      }
     }
 
     return () => {
@@ -76,6 +99,65 @@ function App() {
         fetchSession(sessionId);
       });
 
+      socket.on('participants_merged', (data) => {
+        if (data.removedId === localStorage.getItem(`vibe_participantId_${sessionId}`)) {
+          forgetParticipant(sessionId);
+        }
+        fetchSession(sessionId);
+      });
+
+      socket.on('participant_removed', (data) => {
+        if (data.id === localStorage.getItem(`vibe_participantId_${sessionId}`)) {
+          forgetParticipant(sessionId);
+          setView('lobby');
+        }
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('participant_renamed', (data) => {
+        if (data.id === localStorage.getItem(`vibe_participantId_${sessionId}`)) {
+          setParticipantName(data.name);
+          localStorage.setItem(`vibe_participant_${sessionId}`, data.name);
+        }
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('session_locked', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('session_planned', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('ballot_updated', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('suggestion_added', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('suggestion_reviewed', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('runoff_started', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('runoff_voted', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('runoff_closed', () => {
+        fetchSession(sessionId, false);
+      });
+
+      socket.on('runoff_stale', () => {
+        fetchSession(sessionId, false);
+      });
+
       socket.on('results_ready', (data) => {
         console.log('results_ready event received:', data);
         if (data.results) {
@@ -89,6 +171,18 @@ function App() {
         socket.off('questions_ready');
         socket.off('participant_joined');
         socket.off('answer_submitted');
+        socket.off('participants_merged');
+        socket.off('participant_removed');
+        socket.off('participant_renamed');
+        socket.off('session_locked');
+        socket.off('session_planned');
+        socket.off('ballot_updated');
+        socket.off('suggestion_added');
+        socket.off('suggestion_reviewed');
+        socket.off('runoff_started');
+        socket.off('runoff_voted');
+        socket.off('runoff_closed');
+        socket.off('runoff_stale');
         socket.off('results_ready');
       };
     }
@@ -126,17 +220,25 @@ function App() {
         body: JSON.stringify(config)
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Could not create session');
+      }
       setSessionId(data.id);
       setParticipantId(data.participantId);
+      setParticipantToken(data.participantToken);
       setParticipantName(config.hostName);
+      setHostToken(data.hostToken);
       setIsHost(true);
       setView('lobby');
       window.history.pushState({}, '', `/session/${data.id}`);
       // Store all session state for refresh persistence
       localStorage.setItem(`vibe_participant_${data.id}`, config.hostName);
       localStorage.setItem(`vibe_participantId_${data.id}`, data.participantId);
-      localStorage.setItem(`vibe_isHost_${data.id}`, 'true');
-      socket.emit('join_session', data.id);
+      localStorage.setItem(`vibe_participantToken_${data.id}`, data.participantToken);
+      localStorage.setItem(`vibe_rejoinCode_${data.id}`, data.rejoinCode);
+      setRejoinCode(data.rejoinCode);
+      localStorage.setItem(`vibe_hostToken_${data.id}`, data.hostToken);
+      joinRoom(data.id);
       fetchSession(data.id);
       return data;
     } catch (err) {
@@ -153,15 +255,21 @@ function App() {
         body: JSON.stringify({ name })
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to join session');
+      }
       setParticipantId(data.id);
+      setParticipantToken(data.token);
       setParticipantName(name);
       setIsHost(false);
       setSessionData(data.session);
       // Store all session state for refresh persistence
       localStorage.setItem(`vibe_participant_${id}`, name);
       localStorage.setItem(`vibe_participantId_${id}`, data.id);
-      localStorage.setItem(`vibe_isHost_${id}`, 'false');
-      socket.emit('join_session', id);
+      localStorage.setItem(`vibe_participantToken_${id}`, data.token);
+      localStorage.setItem(`vibe_rejoinCode_${id}`, data.rejoinCode);
+      setRejoinCode(data.rejoinCode);
+      joinRoom(id);
       return data;
     } catch (err) {
       console.error('Failed to join session:', err);
@@ -169,30 +277,145 @@ function App() {
     }
   };
 
+  // Reclaim an existing participant (joined on another device) by rejoin code
+  const rejoinSession = async (id, code) => {
+    const res = await fetch(`/api/session/${id}/rejoin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Could not rejoin');
+    }
+    setParticipantId(data.id);
+    setParticipantToken(data.token);
+    setRejoinCode(data.rejoinCode);
+    setParticipantName(data.name);
+    setSessionData(data.session);
+    localStorage.setItem(`vibe_participant_${id}`, data.name);
+    localStorage.setItem(`vibe_participantId_${id}`, data.id);
+    localStorage.setItem(`vibe_participantToken_${id}`, data.token);
+    localStorage.setItem(`vibe_rejoinCode_${id}`, data.rejoinCode);
+    joinRoom(id);
+    fetchSession(id);
+    return data;
+  };
+
+  // Drop our participant identity for a session (merged away or removed by the host)
+  const forgetParticipant = (id) => {
+    localStorage.removeItem(`vibe_participant_${id}`);
+    localStorage.removeItem(`vibe_participantId_${id}`);
+    localStorage.removeItem(`vibe_participantToken_${id}`);
+    localStorage.removeItem(`vibe_rejoinCode_${id}`);
+    setParticipantId(null);
+    setParticipantToken(null);
+    setRejoinCode(null);
+    setParticipantName('');
+    setSavedProgress(null);
+  };
+
+  // Host moderation: remove, rename, lock, merge
+  const hostRequest = async (path, method, body) => {
+    const res = await fetch(`/api/session/${sessionId}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Host-Token': hostToken
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Something went wrong');
+    }
+    fetchSession(sessionId, false);
+    return data;
+  };
+
+  const removeParticipant = (id) => hostRequest(`/participants/${id}`, 'DELETE');
+  const renameParticipant = (id, name) => hostRequest(`/participants/${id}/rename`, 'POST', { name });
+  const setSessionLocked = (locked) => hostRequest('/lock', 'POST', { locked });
+  const setPlannedAt = (plannedAt) => hostRequest('/plan', 'POST', { plannedAt });
+  const draftPlaces = (pinned) => hostRequest('/draft', 'POST', { pinned });
+  const searchDraftPlaces = (q) => hostRequest(`/draft/search?q=${encodeURIComponent(q)}`, 'GET');
+  const addDraftPlace = (place) => hostRequest('/draft/places', 'POST', place);
+  const removeDraftPlace = (id) => hostRequest(`/draft/places/${encodeURIComponent(id)}`, 'DELETE');
+  const mergeParticipants = (keepId, mergeId) => hostRequest('/participants/merge', 'POST', { keepId, mergeId });
+
   const generateQuestions = async () => {
     const res = await fetch(`/api/session/${sessionId}/generate`, {
-      method: 'POST'
+      method: 'POST',
+      headers: { 'X-Host-Token': hostToken }
     });
     const data = await res.json();
     if (!res.ok) {
-      throw new Error(data.error || 'Failed to find places');
+      const err = new Error(data.error || 'Failed to find places');
+      // Locals mode says why (location_not_found, empty_area, rate_limited, timeout, unavailable)
+      err.code = data.code;
+      throw err;
     }
     if (data.questions) {
       setQuestions(data.questions);
     }
   };
 
+  // Locals lobby: guests suggest places, the host approves or rejects them
+  const suggestPlace = async (name) => {
+    const res = await fetch(`/api/session/${sessionId}/suggestions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Participant-Token': participantToken
+      },
+      body: JSON.stringify({ participantId, name })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Could not suggest that place');
+    }
+    fetchSession(sessionId, false);
+    return data;
+  };
+  const reviewSuggestion = (id, approve) => hostRequest(`/suggestions/${id}/${approve ? 'approve' : 'reject'}`, 'POST');
+
+  // Locals runoff: the host starts and closes rounds, everyone ranks the candidates
+  const startRunoff = (size) => hostRequest('/runoff', 'POST', { size });
+  const closeRunoff = (roundId) => hostRequest(`/runoff/${roundId}/close`, 'POST');
+  const voteRunoff = async (roundId, ranking) => {
+    const res = await fetch(`/api/session/${sessionId}/runoff/${roundId}/vote`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Participant-Token': participantToken
+      },
+      body: JSON.stringify({ participantId, ranking })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Could not save your ranking');
+    }
+    fetchSession(sessionId, false);
+    return data;
+  };
+
   const submitQuiz = async (answers) => {
     try {
       // Ensure we're connected to socket room before submitting
-      socket.emit('join_session', sessionId);
+      joinRoom(sessionId);
 
       const res = await fetch(`/api/session/${sessionId}/submit`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Participant-Token': participantToken
+        },
         body: JSON.stringify({ participantId, answers })
       });
       const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to submit answers');
+      }
       return data;
     } catch (err) {
       console.error('Failed to submit quiz:', err);
@@ -200,12 +423,69 @@ function App() {
     }
   };
 
+  // Fetch answers saved from an earlier visit so the quiz can resume
+  const loadProgress = async () => {
+    try {
+      const res = await fetch(
+        `/api/session/${sessionId}/progress?participantId=${encodeURIComponent(participantId)}`,
+        { headers: { 'X-Participant-Token': participantToken } }
+      );
+      if (!res.ok) return null;
+      const data = await res.json();
+      return { answers: data.answers || {}, currentIndex: data.currentIndex || 0 };
+    } catch (err) {
+      console.error('Failed to load progress:', err);
+      return null;
+    }
+  };
+
+  // Autosave in-progress answers, debounced so quick clicks send one request
+  const saveProgress = (answers, currentIndex) => {
+    setSavedProgress({ answers, currentIndex });
+    clearTimeout(progressTimer.current);
+    progressTimer.current = setTimeout(() => {
+      fetch(`/api/session/${sessionId}/progress`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Participant-Token': participantToken
+        },
+        body: JSON.stringify({ participantId, answers, currentIndex })
+      }).catch(err => console.error('Failed to save progress:', err));
+    }, 500);
+  };
+
+  // Reopen the quiz prefilled with the votes this participant already submitted
+  const editVotes = async () => {
+    const progress = await loadProgress();
+    setSavedProgress({ answers: progress?.answers || {}, currentIndex: 0 });
+    setEditingVotes(true);
+    setView('quiz');
+  };
+
+  const finishQuiz = () => {
+    setEditingVotes(false);
+    fetchSession(sessionId);
+  };
+
+  const leaveQuiz = () => {
+    setEditingVotes(false);
+    setView(sessionData?.status === 'complete' ? 'results' : 'lobby');
+  };
+
   const goHome = () => {
+    clearTimeout(progressTimer.current);
     setView('landing');
     setSessionId(null);
     setParticipantId(null);
+    setParticipantToken(null);
+    setRejoinCode(null);
     setSessionData(null);
     setParticipantName('');
+    setSavedProgress(null);
+    setEditingVotes(false);
+    setIsHost(false);
+    setHostToken(null);
     setQuestions([]);
     setResults(null);
     window.history.pushState({}, '', '/');
@@ -215,13 +495,17 @@ function App() {
     if (questions.length === 0 && sessionId) {
       await fetchSession(sessionId);
     }
+    if (!savedProgress && participantId) {
+      setSavedProgress(await loadProgress());
+    }
     setView('quiz');
   };
 
   const closeVoting = async () => {
     try {
       const res = await fetch(`/api/session/${sessionId}/close`, {
-        method: 'POST'
+        method: 'POST',
+        headers: { 'X-Host-Token': hostToken }
       });
       const data = await res.json();
       if (!res.ok) {
@@ -237,6 +521,9 @@ function App() {
     }
   };
 
+  const canEditVotes = !sessionData?.archived_at &&
+    !!sessionData?.participants?.some(p => p.id === participantId && p.completed);
+
   switch (view) {
     case 'lobby':
       return (
@@ -244,10 +531,24 @@ function App() {
           sessionData={sessionData}
           participantId={participantId}
           participantName={participantName}
+          rejoinCode={rejoinCode}
           isHost={isHost}
           onJoin={joinSession}
+          onRejoin={rejoinSession}
+          onMerge={mergeParticipants}
+          onRemove={removeParticipant}
+          onRename={renameParticipant}
+          onLock={setSessionLocked}
+          onPlan={setPlannedAt}
+          onDraft={draftPlaces}
+          onRemovePlace={removeDraftPlace}
+          onSearchPlaces={searchDraftPlaces}
+          onAddPlace={addDraftPlace}
+          onSuggest={suggestPlace}
+          onReviewSuggestion={reviewSuggestion}
           onGenerate={generateQuestions}
           onStartQuiz={startQuiz}
+          onEditVotes={canEditVotes ? editVotes : undefined}
           onViewResults={() => setView('results')}
           onCloseVoting={closeVoting}
         />
@@ -258,9 +559,13 @@ function App() {
           <LocalsQuiz
             places={questions}
             participantName={participantName}
+            initialAnswers={savedProgress?.answers}
+            initialIndex={savedProgress?.currentIndex}
+            editing={editingVotes}
+            onProgress={editingVotes ? undefined : saveProgress}
             onSubmit={submitQuiz}
-            onComplete={() => fetchSession(sessionId)}
-            onBack={() => setView('lobby')}
+            onComplete={finishQuiz}
+            onBack={leaveQuiz}
           />
         );
       }
@@ -268,9 +573,13 @@ function App() {
         <Quiz
           questions={questions}
           participantName={participantName}
+          initialAnswers={savedProgress?.answers}
+          initialIndex={savedProgress?.currentIndex}
+          editing={editingVotes}
+          onProgress={editingVotes ? undefined : saveProgress}
           onSubmit={submitQuiz}
-          onComplete={() => fetchSession(sessionId)}
-          onBack={() => setView('lobby')}
+          onComplete={finishQuiz}
+          onBack={leaveQuiz}
         />
       );
     case 'results':
@@ -280,6 +589,12 @@ function App() {
             sessionData={sessionData}
             results={results}
             participantName={participantName}
+            participantId={participantId}
+            isHost={isHost}
+            onStartRunoff={startRunoff}
+            onVoteRunoff={voteRunoff}
+            onCloseRunoff={closeRunoff}
+            onEditVotes={canEditVotes ? editVotes : undefined}
             onNewSession={goHome}
           />
         );
@@ -289,6 +604,7 @@ function App() {
           sessionData={sessionData}
           results={results}
           participantName={participantName}
+          onEditVotes={canEditVotes ? editVotes : undefined}
           onNewSession={goHome}
         />
       );
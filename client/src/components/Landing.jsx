@@ -1,13 +1,97 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 
-const categories = [
-  { id: 'food', label: 'food' },
-  { id: 'drinks', label: 'drinks' },
-  { id: 'activities', label: 'activities' }
+const dietOptions = [
+  { id: 'vegetarian', label: 'vegetarian' },
+  { id: 'vegan', label: 'vegan' },
+  { id: 'halal', label: 'halal' },
+  { id: 'kosher', label: 'kosher' },
+  { id: 'gluten_free', label: 'gluten free' }
 ];
 
+// Optional locals-mode filters: cuisines, diets, access, seating and "open when we go"
+function FiltersPicker({ filters, setFilters, plannedAt, setPlannedAt }) {
+  const [open, setOpen] = useState(false);
+  const update = (key, value) => setFilters({ ...filters, [key]: value });
+  const toggleDiet = (id) => update('diet', filters.diet.includes(id)
+    ? filters.diet.filter(d => d !== id)
+    : [...filters.diet, id]);
+
+  const chip = (active) => `px-3 py-1 text-sm border transition-all ${
+    active ? 'border-vt-white bg-vt-white text-vt-black' : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+  }`;
+  const textInput = 'w-full bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors';
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} className="mb-6 text-left text-sm text-vt-gray hover:text-vt-white">
+        + filters (cuisine, diet, open when you go...)
+      </button>
+    );
+  }
+
+  return (
+    <div className="mb-6 flex flex-col gap-4">
+      <input
+        type="text"
+        placeholder="only these cuisines, e.g. thai, ramen"
+        value={filters.cuisineInclude}
+        onChange={(e) => update('cuisineInclude', e.target.value)}
+        className={textInput}
+        autoComplete="off"
+      />
+      <input
+        type="text"
+        placeholder="skip these cuisines, e.g. steak_house"
+        value={filters.cuisineExclude}
+        onChange={(e) => update('cuisineExclude', e.target.value)}
+        className={textInput}
+        autoComplete="off"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        {dietOptions.map((opt) => (
+          <button key={opt.id} onClick={() => toggleDiet(opt.id)} className={chip(filters.diet.includes(opt.id))}>
+            {opt.label}
+          </button>
+        ))}
+        <button onClick={() => update('wheelchair', !filters.wheelchair)} className={chip(filters.wheelchair)}>
+          wheelchair accessible
+        </button>
+        <button onClick={() => update('outdoorSeating', !filters.outdoorSeating)} className={chip(filters.outdoorSeating)}>
+          outdoor seating
+        </button>
+      </div>
+
+      <div>
+        <p className="text-vt-gray text-sm mb-2">when are you going?</p>
+        <input
+          type="datetime-local"
+          value={plannedAt}
+          onChange={(e) => {
+            setPlannedAt(e.target.value);
+            if (!e.target.value) update('openAtPlannedTime', false);
+          }}
+          className={`${textInput} [color-scheme:dark]`}
+        />
+        <button
+          onClick={() => update('openAtPlannedTime', !filters.openAtPlannedTime)}
+          disabled={!plannedAt}
+          className="mt-3 text-left text-sm disabled:opacity-30"
+        >
+          <span className={`inline-block w-4 h-4 mr-2 border ${filters.openAtPlannedTime ? 'bg-vt-white border-vt-white' : 'border-vt-darkgray'} align-middle`}>
+            {filters.openAtPlannedTime && <span className="block w-full h-full text-vt-black text-center text-xs leading-4">✓</span>}
+          </span>
+          <span className="text-vt-gray">only places open then</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function Landing({ onCreate }) {
   const [step, setStep] = useState(1);
+  const [categories, setCategories] = useState(null);
+  const [categoriesError, setCategoriesError] = useState(false);
   const [hostName, setHostName] = useState('');
   const [category, setCategory] = useState(null);
   const [discoverMode, setDiscoverMode] = useState(false);
@@ -16,15 +100,56 @@ function Landing({ onCreate }) {
   const [locationSuggestions, setLocationSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [locationRadius, setLocationRadius] = useState(null);
+  const [expiresIn, setExpiresIn] = useState('1d');
+  const [filters, setFilters] = useState({
+    cuisineInclude: '',
+    cuisineExclude: '',
+    diet: [],
+    wheelchair: false,
+    outdoorSeating: false,
+    openAtPlannedTime: false
+  });
+  const [plannedAt, setPlannedAt] = useState('');
+  const [aggregation, setAggregation] = useState('weighted');
   const [loading, setLoading] = useState(false);
+  const [createError, setCreateError] = useState(null);
 
   const radiusOptions = [
     { id: 'walkable', label: 'walkable', description: '5-10 min walk' },
     { id: 'nearby', label: 'nearby', description: '10-15 min drive' },
     { id: 'city', label: 'whole city', description: 'anywhere in the area' }
   ];
+
+  const expiryOptions = [
+    { id: '1d', label: 'a day' },
+    { id: '7d', label: 'a week' },
+    { id: '30d', label: 'a month' }
+  ];
+
+  // How locals votes pick the winner (see AGGREGATION_METHODS on the server)
+  const aggregationOptions = [
+    { id: 'weighted', label: 'points', description: 'love, like and nope add up to a score' },
+    { id: 'approval', label: 'approval', description: 'the place the most people love or like wins' },
+    { id: 'borda', label: 'ranked', description: "each person's votes rank the places, the best-ranked overall wins" },
+    { id: 'maximin', label: 'least misery', description: 'the place the least happy person minds least wins' },
+    { id: 'veto', label: 'veto', description: 'anyone can rule a place out with a nope' }
+  ];
   const debounceRef = useRef(null);
 
+  // Categories come from the server's registry
+  useEffect(() => {
+    fetch('/api/categories')
+      .then(res => {
+        if (!res.ok) throw new Error(`Categories request failed (${res.status})`);
+        return res.json();
+      })
+      .then(data => setCategories(data.categories))
+      .catch(err => {
+        console.error('Failed to load categories:', err);
+        setCategoriesError(true);
+      });
+  }, []);
+
   const searchLocations = async (query) => {
     if (query.length < 2) {
       setLocationSuggestions([]);
@@ -65,16 +190,20 @@ function Landing({ onCreate }) {
 
   const handleCreate = async () => {
     setLoading(true);
+    setCreateError(null);
     try {
       await onCreate({
         mode: discoverMode ? 'discover' : 'locals',
         hostName,
         category,
         location: location.trim() || null,
-        locationRadius: location.trim() ? locationRadius : null
+        locationRadius: location.trim() ? locationRadius : null,
+        expiresIn,
+        ...(discoverMode ? {} : { filters, plannedAt: plannedAt || null, aggregation })
       });
     } catch (err) {
       console.error('Failed to create:', err);
+      setCreateError(err.message || 'Could not create session');
     } finally {
       setLoading(false);
     }
@@ -120,8 +249,14 @@ function Landing({ onCreate }) {
         <button onClick={() => setStep(1)} className="text-vt-gray text-sm mb-6">back</button>
         <h2 className="text-lg text-vt-white mb-6">what are we deciding?</h2>
 
+        {!categories && (
+          <p className={`text-sm mb-8 ${categoriesError ? 'text-red-400' : 'text-vt-gray'}`}>
+            {categoriesError ? 'could not load categories. refresh to try again.' : 'loading...'}
+          </p>
+        )}
+
         <div className="flex flex-col gap-3 mb-8">
-          {categories.map((cat) => (
+          {categories?.map((cat) => (
             <button
               key={cat.id}
               onClick={() => setCategory(cat.id)}
@@ -214,6 +349,53 @@ function Landing({ onCreate }) {
           </div>
         )}
 
+        {location.trim() && !discoverMode && (
+          <FiltersPicker filters={filters} setFilters={setFilters} plannedAt={plannedAt} setPlannedAt={setPlannedAt} />
+        )}
+
+        {location.trim() && !discoverMode && (
+          <div className="mb-6">
+            <p className="text-vt-gray text-sm mb-3">how should the group decide?</p>
+            <div className="flex flex-wrap gap-2">
+              {aggregationOptions.map((opt) => (
+                <button
+                  key={opt.id}
+                  onClick={() => setAggregation(opt.id)}
+                  className={`px-3 py-2 text-sm border transition-all ${
+                    aggregation === opt.id
+                      ? 'border-vt-white bg-vt-white text-vt-black'
+                      : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+                  }`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-vt-gray text-xs mt-2">
+              {aggregationOptions.find(opt => opt.id === aggregation).description}
+            </p>
+          </div>
+        )}
+
+        <div className="mb-6">
+          <p className="text-vt-gray text-sm mb-3">keep results around for</p>
+          <div className="flex gap-2">
+            {expiryOptions.map((opt) => (
+              <button
+                key={opt.id}
+                onClick={() => setExpiresIn(opt.id)}
+                className={`flex-1 py-2 text-sm border transition-all ${
+                  expiresIn === opt.id
+                    ? 'border-vt-white bg-vt-white text-vt-black'
+                    : 'border-vt-darkgray text-vt-gray hover:border-vt-light'
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
         <button
           onClick={() => setDiscoverMode(!discoverMode)}
           className="mb-6 text-left text-sm"
@@ -231,6 +413,9 @@ function Landing({ onCreate }) {
         >
           {loading ? 'creating...' : 'start session'}
         </button>
+        {createError && (
+          <p className="text-red-400 text-sm text-center mt-3">{createError}</p>
+        )}
       </div>
     );
   }
@@ -1,9 +1,22 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import PlaceHours from './PlaceHours';
 
-function LocalsQuiz({ places, participantName, onSubmit, onComplete, onBack }) {
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [answers, setAnswers] = useState({});
+function LocalsQuiz({ places, participantName, initialAnswers, initialIndex, editing, onProgress, onSubmit, onComplete, onBack }) {
+  const [currentIndex, setCurrentIndex] = useState(() =>
+    Math.min(Math.max(initialIndex || 0, 0), Math.max((places?.length || 1) - 1, 0))
+  );
+  const [answers, setAnswers] = useState(initialAnswers || {});
   const [submitting, setSubmitting] = useState(false);
+  const mounted = useRef(false);
+
+  // Report changes for autosave, skipping the restored state on mount
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    onProgress?.(answers, currentIndex);
+  }, [answers, currentIndex]);
 
   if (!places || places.length === 0) {
     return (
@@ -118,9 +131,7 @@ function LocalsQuiz({ places, participantName, onSubmit, onComplete, onBack }) {
           {currentPlace?.address && (
             <p className="text-vt-gray text-sm mb-2">{currentPlace.address}</p>
           )}
-          {currentPlace?.hours && (
-            <p className="text-vt-gray text-xs">{currentPlace.hours}</p>
-          )}
+          <PlaceHours place={currentPlace} />
         </div>
 
         {/* Vote Buttons */}
@@ -164,7 +175,7 @@ function LocalsQuiz({ places, participantName, onSubmit, onComplete, onBack }) {
             disabled={submitting}
             className="flex-1 py-4 bg-vt-white text-vt-black font-medium disabled:opacity-50"
           >
-            {submitting ? 'submitting...' : 'submit'}
+            {submitting ? 'submitting...' : editing ? 'update votes' : 'submit'}
           </button>
         ) : (
           <button
@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import PlaceHours from './PlaceHours';
+import Runoff from './Runoff';
 
 // Format category names: "bubble_tea" -> "Bubble Tea", "coffee_shop" -> "Coffee Shop"
 function formatCategory(str) {
@@ -15,7 +17,69 @@ function formatCategory(str) {
     .join(', ');
 }
 
-function PlaceCard({ place, extra }) {
+// How votes read in the score breakdown, matching the server's voteBreakdown
+const VOTE_LABELS = { love: 'love', like: 'like', meh: 'meh', unknown: "haven't tried", nope: 'nope' };
+
+const signed = n => (n > 0 ? `+${n}` : `${n}`);
+
+// "why this ranked here": the vote points, each boost and where it came from,
+// the section rule the place met and who voted what (from place.explanation)
+function ScoreBreakdown({ place, aggregation }) {
+  const [open, setOpen] = useState(false);
+  const { votes, boosts, rule, voters } = place.explanation;
+  const ranksByOtherScore = aggregation && aggregation.method !== 'weighted' && aggregation.method !== 'veto';
+
+  return (
+    <div className="mb-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-xs text-vt-gray hover:text-vt-white underline"
+      >
+        {open ? 'hide breakdown' : 'why this ranked here'}
+      </button>
+      {open && (
+        <div className="mt-2 flex flex-col gap-2 text-xs">
+          <div>
+            {votes.map(c => (
+              <p key={c.vote} className="text-vt-light">
+                {c.count} {VOTE_LABELS[c.vote]} × {c.weight} = {signed(c.points)}
+              </p>
+            ))}
+            <p className="text-vt-white">score {place.score}</p>
+          </div>
+
+          {boosts.length > 0 && (
+            <div>
+              {boosts.map((b, i) => (
+                <p key={i} className="text-vt-light">
+                  {signed(b.points)} for {formatCategory(b.value)}, which the group liked at{' '}
+                  {b.sources.map(src => `${src.id === place.id ? 'this place' : src.name} (${signed(src.points)})`).join(', ')}
+                </p>
+              ))}
+              <p className="text-vt-white">boosted score {place.boostedScore}</p>
+            </div>
+          )}
+
+          {ranksByOtherScore && (
+            <p className="text-vt-white">ranked by {aggregation.label}: {place.rankScore}</p>
+          )}
+          {place.vetoed && <p className="text-vt-light">vetoed: someone said nope</p>}
+          {rule && <p className="text-vt-light">listed here because {rule}</p>}
+
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {voters.map((v, i) => (
+              <span key={i} className="text-vt-gray">
+                {v.name}: <span className="text-vt-light">{VOTE_LABELS[v.vote] || v.vote}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PlaceCard({ place, extra, aggregation }) {
   return (
     <div className="result-card">
       <div className="flex justify-between items-start mb-2">
@@ -37,13 +101,14 @@ function PlaceCard({ place, extra }) {
         <p className="text-vt-gray text-xs mb-2">{place.voteBreakdown}</p>
       )}
 
+      {/* Older results have no explanation */}
+      {place.explanation && <ScoreBreakdown place={place} aggregation={aggregation} />}
+
       <div className="mt-3 pt-3 border-t border-vt-darkgray">
         {place.address && (
           <p className="text-vt-light text-xs mb-1">{place.address}</p>
         )}
-        {place.hours && (
-          <p className="text-vt-gray text-xs mb-1">{place.hours}</p>
-        )}
+        <PlaceHours place={place} className="mb-1" />
         <div className="flex flex-wrap gap-3 mt-2">
           {place.website && (
             <a href={place.website} target="_blank" rel="noopener noreferrer"
@@ -72,7 +137,10 @@ function PlaceCard({ place, extra }) {
   );
 }
 
-function LocalsResults({ sessionData, results, participantName, onNewSession }) {
+function LocalsResults({
+  sessionData, results, participantName, participantId, isHost,
+  onStartRunoff, onVoteRunoff, onCloseRunoff, onEditVotes, onNewSession
+}) {
   const [activeTab, setActiveTab] = useState('group');
 
   if (!results) {
@@ -126,6 +194,9 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
     individual_profiles = [],
     cuisine_overlap = [],
     ai_suggestions = [],
+    aggregation,
+    winner,
+    winner_explanation,
     update_reason
   } = results;
 
@@ -168,6 +239,9 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
           {update_reason && (
             <p className="text-vt-gray text-xs mt-1">updated: {update_reason}</p>
           )}
+          {sessionData?.archived_at ? (
+            <p className="text-vt-gray text-xs mt-1">archived · read-only</p>
+          ) : null}
         </div>
         <button
           onClick={handleShare}
@@ -214,6 +288,29 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
       {/* Group Results */}
       {activeTab === 'group' && (
         <div className="flex-1 flex flex-col animate-fade-in">
+          <Runoff
+            sessionData={sessionData}
+            participantId={participantId}
+            isHost={isHost}
+            onStart={onStartRunoff}
+            onVote={onVoteRunoff}
+            onClose={onCloseRunoff}
+          />
+
+          {/* Winner under the session's aggregation method (older results have none) */}
+          {winner && winner_explanation && (
+            <div className="mb-8">
+              <h2 className="text-vt-white text-sm mb-3">the pick</h2>
+              <p className="text-vt-white text-lg">{winner.name}</p>
+              <p className="text-vt-light text-sm mt-1 leading-relaxed">{winner_explanation}</p>
+              {aggregation && (
+                <p className="text-vt-gray text-xs mt-2">
+                  decided by {aggregation.label}: {aggregation.description}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Group Summary */}
           <div className="mb-8">
             <h2 className="text-vt-white text-sm mb-3">group vibe</h2>
@@ -240,7 +337,7 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
               <h2 className="text-vt-white text-sm mb-3">shared favorites</h2>
               <div className="flex flex-col gap-4 mb-8">
                 {shared_favorites.map((place, idx) => (
-                  <PlaceCard key={place.id || idx} place={place} extra="everyone loves" />
+                  <PlaceCard key={place.id || idx} place={place} extra="everyone loves" aggregation={aggregation} />
                 ))}
               </div>
             </>
@@ -252,7 +349,7 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
               <h2 className="text-vt-white text-sm mb-3">places to try together</h2>
               <div className="flex flex-col gap-4 mb-8">
                 {places_to_try.map((place, idx) => (
-                  <PlaceCard key={place.id || idx} place={place} />
+                  <PlaceCard key={place.id || idx} place={place} aggregation={aggregation} />
                 ))}
               </div>
             </>
@@ -265,7 +362,7 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
               <p className="text-vt-gray text-xs mb-3">highest rated across the group</p>
               <div className="flex flex-col gap-4 mb-8">
                 {best_bets.map((place, idx) => (
-                  <PlaceCard key={place.id || idx} place={place} />
+                  <PlaceCard key={place.id || idx} place={place} aggregation={aggregation} />
                 ))}
               </div>
             </>
@@ -278,7 +375,7 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
               <p className="text-vt-gray text-xs mb-3">wildly different taste, but these had the least pushback</p>
               <div className="flex flex-col gap-4 mb-8">
                 {fallback_picks.map((place, idx) => (
-                  <PlaceCard key={place.id || idx} place={place} />
+                  <PlaceCard key={place.id || idx} place={place} aggregation={aggregation} />
                 ))}
               </div>
             </>
@@ -470,6 +567,14 @@ function LocalsResults({ sessionData, results, participantName, onNewSession })
 
       {/* Actions */}
       <div className="mt-8 pt-6 border-t border-vt-darkgray">
+        {onEditVotes && (
+          <button
+            onClick={onEditVotes}
+            className="w-full py-3 mb-3 border border-vt-darkgray text-vt-gray hover:border-vt-light hover:text-vt-white transition-colors"
+          >
+            edit my votes
+          </button>
+        )}
         <button
           onClick={onNewSession}
           className="w-full py-3 bg-vt-white text-vt-black font-medium"
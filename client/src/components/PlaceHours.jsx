@@ -0,0 +1,18 @@
+import React from 'react';
+
+// A place's hours in plain words ("open until 11pm", "closed Mondays"), flagged
+// when it's closed at the planned time. Falls back to the raw OSM string for
+// hours the server couldn't read, and for ballots built before hours_status.
+function PlaceHours({ place, className = '' }) {
+  const status = place?.hours_status;
+  const label = status?.label || place?.hours;
+  if (!label) return null;
+
+  return (
+    <p className={`text-xs ${status?.open === false ? 'text-red-400' : 'text-vt-gray'} ${className}`}>
+      {label}
+    </p>
+  );
+}
+
+export default PlaceHours;
@@ -1,9 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
-function Quiz({ questions, participantName, onSubmit, onComplete, onBack }) {
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [answers, setAnswers] = useState({});
+function Quiz({ questions, participantName, initialAnswers, initialIndex, editing, onProgress, onSubmit, onComplete, onBack }) {
+  const [currentIndex, setCurrentIndex] = useState(() =>
+    Math.min(Math.max(initialIndex || 0, 0), Math.max((questions?.length || 1) - 1, 0))
+  );
+  const [answers, setAnswers] = useState(initialAnswers || {});
   const [submitting, setSubmitting] = useState(false);
+  const mounted = useRef(false);
+
+  // Report changes for autosave, skipping the restored state on mount
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    onProgress?.(answers, currentIndex);
+  }, [answers, currentIndex]);
 
   if (!questions || questions.length === 0) {
     return (
@@ -131,7 +143,7 @@ function Quiz({ questions, participantName, onSubmit, onComplete, onBack }) {
             disabled={submitting}
             className="flex-1 py-4 bg-vt-white text-vt-black font-medium disabled:opacity-50"
           >
-            {submitting ? 'submitting...' : 'submit'}
+            {submitting ? 'submitting...' : editing ? 'update votes' : 'submit'}
           </button>
         ) : (
           <button
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 
-function Results({ sessionData, results, participantName, onNewSession }) {
+function Results({ sessionData, results, participantName, onEditVotes, onNewSession }) {
   const [activeTab, setActiveTab] = useState('group');
 
   if (!results) {
@@ -52,6 +52,9 @@ function Results({ sessionData, results, participantName, onNewSession }) {
         {update_reason && (
           <p className="text-vt-gray text-xs mt-1">updated: {update_reason}</p>
         )}
+        {sessionData?.archived_at ? (
+          <p className="text-vt-gray text-xs mt-1">archived · read-only</p>
+        ) : null}
       </div>
 
       {/* Tabs */}
@@ -212,6 +215,14 @@ function Results({ sessionData, results, participantName, onNewSession }) {
 
       {/* Actions */}
       <div className="mt-8 pt-6 border-t border-vt-darkgray">
+        {onEditVotes && (
+          <button
+            onClick={onEditVotes}
+            className="w-full py-3 mb-3 border border-vt-darkgray text-vt-gray hover:border-vt-light hover:text-vt-white transition-colors"
+          >
+            edit my votes
+          </button>
+        )}
         <button
           onClick={onNewSession}
           className="w-full py-3 bg-vt-white text-vt-black font-medium"
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+
+// Ranked-choice runoff rounds on top of locals results: the winner so far,
+// the open round's ballot, the host's controls and every round's count.
+// Rounds run before the results last changed are stale: kept in the history
+// but no longer deciding anything.
+function Runoff({ sessionData, participantId, isHost, onStart, onVote, onClose }) {
+  const [size, setSize] = useState(3);
+  const [ranking, setRanking] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rounds = sessionData?.rounds || [];
+  const openRound = rounds.find(r => r.status === 'open');
+  const closedRounds = rounds.filter(r => r.status === 'closed');
+  const lastClosed = closedRounds[closedRounds.length - 1];
+  const pastRounds = rounds.filter(r => r.tally);
+  const totalCount = sessionData?.participants?.length || 0;
+  // A follow-up round has to be smaller than the last one
+  const sizes = [2, 3, 4, 5].filter(n => !lastClosed || n < lastClosed.candidates.length);
+  const startSize = Math.min(size, sizes[sizes.length - 1]);
+
+  const nameOf = (round, id) => round.candidates.find(p => p.id === id)?.name || 'a removed place';
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Tap places in order of preference; tap again to take one back out
+  const toggleRank = (id) => {
+    setRanking(ranking.includes(id) ? ranking.filter(r => r !== id) : [...ranking, id]);
+  };
+
+  const handleVote = () => run(async () => {
+    await onVote(openRound.id, ranking);
+    setRanking([]);
+  });
+
+  if (!isHost && rounds.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      {lastClosed && !openRound && (
+        <div className="p-4 border border-vt-white mb-6">
+          <span className="text-vt-gray text-xs uppercase tracking-wider">the winner</span>
+          <p className="text-vt-white text-lg mt-1">{nameOf(lastClosed, lastClosed.winnerId)}</p>
+          <p className="text-vt-gray text-xs mt-1">
+            after {closedRounds.length} runoff round{closedRounds.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+      )}
+
+      {!lastClosed && !openRound && rounds.some(r => r.status === 'stale') && (
+        <p className="text-vt-gray text-xs mb-6">the votes changed after the runoff, so its winner no longer stands.</p>
+      )}
+
+      {openRound && (
+        <div className="mb-6">
+          <h2 className="text-vt-white text-sm mb-1">runoff round {openRound.number}</h2>
+          <p className="text-vt-gray text-xs mb-3">
+            {openRound.voterIds.includes(participantId)
+              ? 'your vote is in. you can still change it.'
+              : 'tap the places in order, favorite first. skip any you would not go to.'}
+            {' '}{openRound.voterIds.length}/{totalCount} voted
+          </p>
+          {participantId && (
+            <>
+              <div className="flex flex-col gap-2 mb-3">
+                {openRound.candidates.map((place) => {
+                  const position = ranking.indexOf(place.id);
+                  return (
+                    <button
+                      key={place.id}
+                      onClick={() => toggleRank(place.id)}
+                      className={`flex items-center gap-3 p-3 border text-left transition-colors ${
+                        position >= 0 ? 'border-vt-white' : 'border-vt-darkgray hover:border-vt-light'
+                      }`}
+                    >
+                      <span className="w-6 h-6 flex items-center justify-center bg-vt-darkgray text-vt-white text-xs font-medium">
+                        {position >= 0 ? position + 1 : ''}
+                      </span>
+                      <span className="text-vt-white text-sm">{place.name}</span>
+                    </button>
+                  );
+                })}
+              </div>
+              <button
+                onClick={handleVote}
+                disabled={busy || ranking.length === 0}
+                className="w-full py-3 bg-vt-white text-vt-black font-medium disabled:opacity-30"
+              >
+                {openRound.voterIds.includes(participantId) ? 'change my vote' : 'vote'}
+              </button>
+            </>
+          )}
+          {isHost && (
+            <button
+              onClick={() => run(() => onClose(openRound.id))}
+              disabled={busy || openRound.voterIds.length === 0}
+              className="w-full py-3 mt-3 border border-vt-darkgray text-vt-gray hover:border-vt-light hover:text-vt-white transition-colors disabled:opacity-30"
+            >
+              close the round with {openRound.voterIds.length} vote{openRound.voterIds.length !== 1 ? 's' : ''}
+            </button>
+          )}
+        </div>
+      )}
+
+      {isHost && !openRound && sizes.length > 0 && !sessionData?.archived && (
+        <div className="flex items-center gap-3 mb-6">
+          <button
+            onClick={() => run(() => onStart(startSize))}
+            disabled={busy}
+            className="flex-1 py-3 border border-vt-darkgray text-vt-gray hover:border-vt-light hover:text-vt-white transition-colors disabled:opacity-30"
+          >
+            {closedRounds.length > 0 ? 'run another round' : 'too close to call? start a runoff'}
+          </button>
+          <select
+            value={startSize}
+            onChange={(e) => setSize(Number(e.target.value))}
+            className="bg-transparent text-vt-gray text-xs focus:outline-none"
+          >
+            {sizes.map(n => (
+              <option key={n} value={n}>top {n}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm mb-6">{error}</p>}
+
+      {pastRounds.length > 0 && (
+        <>
+          <h2 className="text-vt-white text-sm mb-3">runoff history</h2>
+          <div className="flex flex-col gap-3">
+            {pastRounds.map((round) => (
+              <div key={round.id} className="writeup-card">
+                <div className="flex justify-between items-baseline mb-2">
+                  <span className="text-vt-white text-sm">
+                    round {round.number}{round.status === 'stale' && <span className="text-vt-gray"> · before the votes changed</span>}
+                  </span>
+                  <span className="text-vt-gray text-xs">{round.voterIds.length} vote{round.voterIds.length !== 1 ? 's' : ''}</span>
+                </div>
+                {round.tally.steps.map((step, i) => (
+                  <p key={i} className="text-vt-gray text-xs mb-1">
+                    {Object.entries(step.counts)
+                      .sort(([, a], [, b]) => b - a)
+                      .map(([id, count]) => `${nameOf(round, id)} ${count}`)
+                      .join(' · ')}
+                    {step.eliminated && ` — ${nameOf(round, step.eliminated)} out${step.tie ? ' (tie, lower in the main vote)' : ''}`}
+                  </p>
+                ))}
+                <p className="text-vt-light text-xs mt-2">won by {nameOf(round, round.winnerId)}</p>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Runoff;
@@ -1,10 +1,400 @@
 import React, { useState, useEffect } from 'react';
+import PlaceHours from './PlaceHours';
 
-function SessionLobby({ sessionData, participantId, participantName, isHost, onJoin, onGenerate, onStartQuiz, onViewResults, onCloseVoting }) {
+// "2026-10-23T19:30" -> "fri oct 23, 7:30pm" (planned times are local to the place)
+function formatPlannedAt(value) {
+  const [date, time] = value.split('T');
+  const [y, m, d] = date.split('-').map(Number);
+  const [h, min] = time.split(':').map(Number);
+  const day = new Date(y, m - 1, d).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  return `${day.toLowerCase()}, ${h % 12 || 12}${min ? `:${String(min).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+// The locals-mode filters the host picked, so everyone knows why the list looks the way it does
+function ActiveFilters({ sessionData }) {
+  const filters = sessionData?.filters ? JSON.parse(sessionData.filters) : null;
+  const plannedAt = sessionData?.planned_at;
+  if (!filters && !plannedAt) return null;
+
+  const labels = [
+    ...(filters?.cuisineInclude || []).map(c => c.replace(/_/g, ' ')),
+    ...(filters?.cuisineExclude || []).map(c => `no ${c.replace(/_/g, ' ')}`),
+    ...(filters?.diet || []).map(d => d.replace(/_/g, ' ')),
+    filters?.wheelchair && 'wheelchair accessible',
+    filters?.outdoorSeating && 'outdoor seating',
+    plannedAt && (filters?.openAtPlannedTime ? `open ${formatPlannedAt(plannedAt)}` : `going ${formatPlannedAt(plannedAt)}`)
+  ].filter(Boolean);
+
+  return (
+    <div className="flex flex-wrap gap-2 -mt-4 mb-8">
+      {labels.map((label) => (
+        <span key={label} className="px-2 py-1 text-xs border border-vt-darkgray text-vt-gray">{label}</span>
+      ))}
+    </div>
+  );
+}
+
+// Host control for when the group is going. Places are checked against it when
+// the ballot is built, so it can only change in the lobby.
+function PlannedTime({ plannedAt, onPlan }) {
+  const [value, setValue] = useState(plannedAt || '');
+
+  useEffect(() => {
+    setValue(plannedAt || '');
+  }, [plannedAt]);
+
+  return (
+    <div className="-mt-4 mb-8">
+      <p className="text-vt-gray text-sm mb-2">when are you going?</p>
+      <div className="flex items-center gap-3">
+        <input
+          type="datetime-local"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="flex-1 bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white focus:outline-none focus:border-vt-white transition-colors [color-scheme:dark]"
+        />
+        <button
+          onClick={() => onPlan(value || null)}
+          disabled={value === (plannedAt || '')}
+          className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+        >
+          {value ? 'save' : 'clear'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// One line of the ballot: name, cuisine, hours and who suggested it
+function BallotPlace({ place }) {
+  return (
+    <span>
+      <span className="block text-vt-white text-sm">{place.name}</span>
+      {(place.cuisine || place.address) && (
+        <span className="block text-vt-gray text-xs">{place.cuisine ? place.cuisine.replace(/[;_]/g, ' ') : place.address}</span>
+      )}
+      <PlaceHours place={place} />
+      {place.suggested_by && <span className="block text-vt-gray text-xs">suggested by {place.suggested_by}</span>}
+    </span>
+  );
+}
+
+// Host tools for adding to the draft: search OpenStreetMap by name near the
+// session, or type in a spot that isn't on the map
+function AddPlace({ onSearch, onAdd }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [custom, setCustom] = useState(false);
+  const [name, setName] = useState('');
+  const [address, setAddress] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    run(async () => setResults((await onSearch(query.trim())).places));
+  };
+
+  const handleAddCustom = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await onAdd({ name: name.trim(), address: address.trim() || undefined });
+      setName('');
+      setAddress('');
+      setCustom(false);
+    });
+  };
+
+  return (
+    <div className="mt-4">
+      <form onSubmit={handleSearch} className="flex items-center gap-3">
+        <input
+          type="text"
+          placeholder="add a place by name"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+          autoComplete="off"
+        />
+        <button
+          type="submit"
+          disabled={busy || query.trim().length < 2}
+          className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+        >
+          search
+        </button>
+      </form>
+
+      {results && (
+        <div className="flex flex-col mt-2">
+          {results.length === 0 && <p className="text-vt-gray text-xs py-2">nothing by that name nearby</p>}
+          {results.map((place) => (
+            <div key={place.id} className="flex items-start gap-3 py-2">
+              <BallotPlace place={place} />
+              <button
+                onClick={() => run(() => onAdd({ query: query.trim(), id: place.id }))}
+                disabled={busy}
+                className="ml-auto text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+              >
+                add
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {custom ? (
+        <form onSubmit={handleAddCustom} className="flex flex-col gap-2 mt-4">
+          <input
+            type="text"
+            placeholder="name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={80}
+            className="bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+            autoComplete="off"
+            autoFocus
+          />
+          <input
+            type="text"
+            placeholder="address (optional)"
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+            maxLength={120}
+            className="bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+            autoComplete="off"
+          />
+          <button
+            type="submit"
+            disabled={busy || !name.trim()}
+            className="self-start text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+          >
+            add to the ballot
+          </button>
+        </form>
+      ) : (
+        <button onClick={() => setCustom(true)} className="text-vt-gray text-xs mt-3 hover:text-vt-white">
+          not on the map? add your own
+        </button>
+      )}
+
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </div>
+  );
+}
+
+// The host's locals ballot before voting opens: remove places, add others,
+// pin the ones worth keeping and re-roll the rest, then open voting on exactly
+// this list
+function DraftBallot({ places, rolling, onReroll, onRemove, onSearch, onAdd }) {
+  const [pinned, setPinned] = useState(() => places.filter(p => p.pinned).map(p => p.id));
+  const [error, setError] = useState(null);
+  const placeIds = places.map(p => p.id).join();
+
+  // Follow the server's list: drop pins for removed places, pick up new server
+  // pins (re-roll survivors, places added by hand)
+  useEffect(() => {
+    setPinned(prev => [...new Set([
+      ...prev.filter(id => places.some(p => p.id === id)),
+      ...places.filter(p => p.pinned).map(p => p.id)
+    ])]);
+  }, [placeIds]);
+
+  const togglePin = (id) => {
+    setPinned(pinned.includes(id) ? pinned.filter(pid => pid !== id) : [...pinned, id]);
+  };
+
+  const handleRemove = async (id) => {
+    setError(null);
+    try {
+      await onRemove(id);
+    } catch (err) {
+      setError(err.message || 'Could not remove that place');
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-baseline mb-2">
+        <h2 className="text-vt-white text-sm">the ballot ({places.length})</h2>
+        <button
+          onClick={() => onReroll(pinned)}
+          disabled={rolling || pinned.length === places.length}
+          className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+        >
+          {rolling ? 're-rolling...' : pinned.length > 0 ? 're-roll the rest' : 're-roll'}
+        </button>
+      </div>
+      <div className="flex flex-col">
+        {places.map((place) => (
+          <div key={place.id} className="flex items-start gap-3 py-2">
+            <button
+              onClick={() => togglePin(place.id)}
+              aria-label={`keep ${place.name}`}
+              className={`inline-block w-4 h-4 mt-0.5 shrink-0 border ${pinned.includes(place.id) ? 'bg-vt-white border-vt-white' : 'border-vt-darkgray'}`}
+            >
+              {pinned.includes(place.id) && <span className="block w-full h-full text-vt-black text-center text-xs leading-4">✓</span>}
+            </button>
+            <BallotPlace place={place} />
+            <button
+              onClick={() => handleRemove(place.id)}
+              className="ml-auto text-vt-gray text-xs hover:text-vt-white"
+            >
+              remove
+            </button>
+          </div>
+        ))}
+      </div>
+      <p className="text-vt-gray text-xs mt-2">tick the places to keep when you re-roll</p>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+      <AddPlace onSearch={onSearch} onAdd={onAdd} />
+    </div>
+  );
+}
+
+// Places guests have proposed for the ballot. Everyone sees what's waiting;
+// guests can suggest more by name and the host approves or rejects each one.
+// Until there's a draft, approved places are listed here too since the first
+// pick is what puts them on the ballot.
+function Suggestions({ suggestions, hasDraft, canSuggest, isHost, onSuggest, onReview }) {
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const pending = (suggestions || []).filter(s => s.status === 'pending');
+  const approved = hasDraft ? [] : (suggestions || []).filter(s => s.status === 'approved');
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSuggest = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await onSuggest(name.trim());
+      setName('');
+    });
+  };
+
+  if (!canSuggest && pending.length === 0 && approved.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-vt-white mb-2 text-sm">suggestions{pending.length > 0 ? ` (${pending.length})` : ''}</h2>
+      <div className="flex flex-col">
+        {pending.map((suggestion) => (
+          <div key={suggestion.id} className="flex items-start gap-3 py-2">
+            <span>
+              <BallotPlace place={suggestion.place} />
+              <span className="block text-vt-gray text-xs">suggested by {suggestion.suggestedBy}</span>
+            </span>
+            {isHost && (
+              <div className="ml-auto flex items-center gap-3">
+                <button
+                  onClick={() => run(() => onReview(suggestion.id, true))}
+                  disabled={busy}
+                  className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+                >
+                  add
+                </button>
+                <button
+                  onClick={() => run(() => onReview(suggestion.id, false))}
+                  disabled={busy}
+                  className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+                >
+                  skip
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+        {approved.map((suggestion) => (
+          <div key={suggestion.id} className="py-2">
+            <BallotPlace place={suggestion.place} />
+            <span className="block text-vt-gray text-xs">suggested by {suggestion.suggestedBy} · added</span>
+          </div>
+        ))}
+      </div>
+
+      {canSuggest && (
+        <form onSubmit={handleSuggest} className="flex items-center gap-3 mt-2">
+          <input
+            type="text"
+            placeholder="what about... (place name)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            className="flex-1 bg-transparent border-b border-vt-darkgray py-2 text-sm text-vt-white placeholder-vt-gray focus:outline-none focus:border-vt-white transition-colors"
+            autoComplete="off"
+          />
+          <button
+            type="submit"
+            disabled={busy || name.trim().length < 2}
+            className="text-vt-gray text-xs hover:text-vt-white disabled:opacity-30"
+          >
+            {busy ? 'looking...' : 'suggest'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+    </div>
+  );
+}
+
+// Shows the participant's rejoin code and a magic link for their other devices
+function RejoinCodeNote({ sessionId, code }) {
+  const [copied, setCopied] = useState(false);
+
+  if (!code) return null;
+
+  const copyRejoinLink = () => {
+    navigator.clipboard.writeText(`${window.location.origin}/session/${sessionId}?rejoin=${code}`);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <p className="text-vt-gray text-xs text-center mt-6">
+      on another device? use code <span className="text-vt-light font-mono">{code}</span>{' '}
+      or{' '}
+      <button onClick={copyRejoinLink} className="underline hover:text-vt-white">
+        {copied ? 'copied' : 'copy your rejoin link'}
+      </button>
+    </p>
+  );
+}
+
+function SessionLobby({ sessionData, participantId, participantName, rejoinCode, isHost, onJoin, onRejoin, onMerge, onRemove, onRename, onLock, onPlan, onDraft, onRemovePlace, onSearchPlaces, onAddPlace, onSuggest, onReviewSuggestion, onGenerate, onStartQuiz, onEditVotes, onViewResults, onCloseVoting }) {
   const [joinName, setJoinName] = useState('');
+  const [showRejoin, setShowRejoin] = useState(false);
+  const [rejoinInput, setRejoinInput] = useState('');
+  const [rejoinError, setRejoinError] = useState(null);
+  const [joinError, setJoinError] = useState(null);
+  const [moderationError, setModerationError] = useState(null);
   const [copied, setCopied] = useState(false);
   const [generating, setGenerating] = useState(false);
   const [generateError, setGenerateError] = useState(null);
+  const [drafting, setDrafting] = useState(false);
   const [closing, setClosing] = useState(false);
   const [closeError, setCloseError] = useState(null);
 
@@ -23,16 +413,65 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
   const handleJoin = async (e) => {
     e.preventDefault();
     if (joinName.trim()) {
-      await onJoin(sessionData.id, joinName.trim());
+      setJoinError(null);
+      try {
+        await onJoin(sessionData.id, joinName.trim());
+      } catch (err) {
+        setJoinError(err.message || 'Could not join');
+      }
+    }
+  };
+
+  const handleRejoin = async (e) => {
+    e.preventDefault();
+    setRejoinError(null);
+    try {
+      await onRejoin(sessionData.id, rejoinInput.trim());
+    } catch (err) {
+      setRejoinError(err.message || 'Could not rejoin');
+    }
+  };
+
+  // Run a host moderation action, surfacing any error under the participant list
+  const moderate = async (action) => {
+    setModerationError(null);
+    try {
+      await action();
+    } catch (err) {
+      setModerationError(err.message || 'Something went wrong');
     }
   };
 
+  const handleMerge = (mergeId, keepId) => {
+    if (!keepId) return;
+    const merge = sessionData.participants.find(p => p.id === mergeId);
+    const keep = sessionData.participants.find(p => p.id === keepId);
+    if (!window.confirm(`merge ${merge?.name} into ${keep?.name}? their votes will be combined.`)) return;
+    moderate(() => onMerge(keepId, mergeId));
+  };
+
+  const handleRemove = (participant) => {
+    if (!window.confirm(`remove ${participant.name} from the vibe check?`)) return;
+    moderate(() => onRemove(participant.id));
+  };
+
+  const handleRename = (participant) => {
+    const name = window.prompt(`rename ${participant.name} to:`, participant.name);
+    if (!name || !name.trim() || name.trim() === participant.name) return;
+    moderate(() => onRename(participant.id, name.trim()));
+  };
+
   const handleGenerate = async () => {
     setGenerating(true);
     setGenerateError(null);
     try {
       await onGenerate();
     } catch (err) {
+      if (err.code) {
+        // The server classified the locals lookup failure, so show its specific advice
+        setGenerateError(err.message);
+        return;
+      }
       setGenerateError(
         sessionData?.mode === 'locals'
           ? 'Could not find places. Try again or use a larger radius.'
@@ -43,6 +482,19 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
     }
   };
 
+  // Locals mode: draft (or re-roll) the ballot the host reviews before voting opens
+  const handleDraft = async (pinned = []) => {
+    setDrafting(true);
+    setGenerateError(null);
+    try {
+      await onDraft(pinned);
+    } catch (err) {
+      setGenerateError(err.message || 'Could not find places. Try again or use a larger radius.');
+    } finally {
+      setDrafting(false);
+    }
+  };
+
   const handleCloseVoting = async () => {
     setClosing(true);
     setCloseError(null);
@@ -66,6 +518,10 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
         </span>
         <h1 className="text-xl text-vt-white mb-8">join the vibe check</h1>
 
+        {sessionData?.locked ? (
+          <p className="text-vt-gray text-sm mb-4">the host has locked this session. ask them to let you in.</p>
+        ) : null}
+
         <form onSubmit={handleJoin} className="flex flex-col gap-4">
           <input
             type="text"
@@ -83,7 +539,41 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
           >
             join
           </button>
+          {joinError && (
+            <p className="text-red-400 text-sm text-center">{joinError}</p>
+          )}
         </form>
+
+        {showRejoin ? (
+          <form onSubmit={handleRejoin} className="flex flex-col gap-4 mt-10">
+            <input
+              type="text"
+              placeholder="rejoin code"
+              value={rejoinInput}
+              onChange={(e) => setRejoinInput(e.target.value.toUpperCase())}
+              maxLength={6}
+              className="w-full bg-transparent border-b border-vt-darkgray py-3 text-lg text-vt-white placeholder-vt-gray font-mono tracking-widest focus:outline-none focus:border-vt-white transition-colors"
+              autoComplete="off"
+            />
+            <button
+              type="submit"
+              disabled={rejoinInput.trim().length === 0}
+              className="py-3 px-6 border border-vt-darkgray text-vt-white disabled:opacity-30 disabled:cursor-not-allowed hover:border-vt-light transition-colors"
+            >
+              rejoin
+            </button>
+            {rejoinError && (
+              <p className="text-red-400 text-sm text-center">{rejoinError}</p>
+            )}
+          </form>
+        ) : (
+          <button
+            onClick={() => setShowRejoin(true)}
+            className="text-vt-gray text-xs mt-10 hover:text-vt-white"
+          >
+            already joined on another device?
+          </button>
+        )}
       </div>
     );
   }
@@ -97,6 +587,10 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
     const waitingOn = allParticipants.filter(p => !p.completed);
     const currentParticipant = allParticipants.find(p => p.id === participantId);
     const hasCompletedQuiz = currentParticipant?.completed;
+    // The host's draft ballot, until voting opens on it
+    const draftPlaces = sessionData?.mode === 'locals' && sessionData?.status === 'lobby' && sessionData?.places
+      ? JSON.parse(sessionData.places)
+      : null;
 
     // Show waiting screen if user completed quiz but waiting on others
     if (hasCompletedQuiz && !allCompleted && sessionData?.status === 'collecting') {
@@ -135,6 +629,17 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
             <p className="text-vt-gray text-xs text-center">
               {completedCount}/{totalCount} finished
             </p>
+
+            {onEditVotes && (
+              <button
+                onClick={onEditVotes}
+                className="w-full mt-6 py-3 border border-vt-darkgray text-vt-gray hover:border-vt-light hover:text-vt-white transition-colors"
+              >
+                edit my votes
+              </button>
+            )}
+
+            <RejoinCodeNote sessionId={sessionData?.id} code={rejoinCode} />
           </div>
         </div>
       );
@@ -177,6 +682,8 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
           )}
         </div>
 
+        <ActiveFilters sessionData={sessionData} />
+
         {isHost ? (
           <>
             <p className="text-vt-gray text-sm mb-6">share this link with your crew</p>
@@ -196,10 +703,48 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
                   {p.completed && (
                     <span className="text-vt-gray text-xs">done</span>
                   )}
+                  <div className="ml-auto flex items-center gap-3">
+                    <button onClick={() => handleRename(p)} className="text-vt-gray text-xs hover:text-vt-white">
+                      rename
+                    </button>
+                    {p.id !== participantId && (
+                      <button onClick={() => handleRemove(p)} className="text-vt-gray text-xs hover:text-vt-white">
+                        remove
+                      </button>
+                    )}
+                    {allParticipants.length > 1 && (
+                      <select
+                        value=""
+                        onChange={(e) => handleMerge(p.id, e.target.value)}
+                        className="bg-transparent text-vt-gray text-xs focus:outline-none"
+                      >
+                        <option value="">merge into...</option>
+                        {allParticipants.filter(other => other.id !== p.id).map(other => (
+                          <option key={other.id} value={other.id}>{other.name}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
                 </div>
               ))}
             </div>
 
+            <button
+              onClick={() => moderate(() => onLock(!sessionData?.locked))}
+              className="text-left text-sm -mt-4 mb-8"
+            >
+              <span className={`inline-block w-4 h-4 mr-2 border ${sessionData?.locked ? 'bg-vt-white border-vt-white' : 'border-vt-darkgray'} align-middle`}>
+                {!!sessionData?.locked && <span className="block w-full h-full text-vt-black text-center text-xs leading-4">✓</span>}
+              </span>
+              <span className="text-vt-gray">lock the lobby (no new joins)</span>
+            </button>
+            {sessionData?.mode === 'locals' && sessionData?.status === 'lobby' && (
+              <PlannedTime plannedAt={sessionData?.planned_at} onPlan={(plannedAt) => moderate(() => onPlan(plannedAt))} />
+            )}
+            {moderationError && (
+              <p className="text-red-400 text-sm text-center -mt-4 mb-8">{moderationError}</p>
+            )}
+
             {sessionData?.status === 'complete' || (allParticipants.length > 0 && allParticipants.every(p => p.completed)) ? (
               <button
                 onClick={onViewResults}
@@ -254,21 +799,46 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
                   </>
                 ) : (
                   <>
-                    <button
-                      onClick={handleGenerate}
-                      disabled={generating}
-                      className="py-4 bg-vt-white text-vt-black font-medium disabled:opacity-50"
-                    >
-                      {generating
-                        ? (sessionData?.mode === 'locals' ? 'finding places nearby...' : 'starting...')
-                        : (sessionData?.mode === 'locals' ? 'find places' : 'start quiz')
-                      }
-                    </button>
+                    {sessionData?.mode === 'locals' && (
+                      <Suggestions
+                        suggestions={sessionData?.suggestions}
+                        hasDraft={Boolean(draftPlaces)}
+                        isHost
+                        onReview={onReviewSuggestion}
+                      />
+                    )}
+                    {draftPlaces && (
+                      <DraftBallot
+                        places={draftPlaces}
+                        rolling={drafting}
+                        onReroll={handleDraft}
+                        onRemove={onRemovePlace}
+                        onSearch={onSearchPlaces}
+                        onAdd={onAddPlace}
+                      />
+                    )}
+                    {sessionData?.mode === 'locals' && !draftPlaces ? (
+                      <button
+                        onClick={() => handleDraft()}
+                        disabled={drafting}
+                        className="py-4 bg-vt-white text-vt-black font-medium disabled:opacity-50"
+                      >
+                        {drafting ? 'finding places nearby...' : 'find places'}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={handleGenerate}
+                        disabled={generating || drafting}
+                        className="py-4 bg-vt-white text-vt-black font-medium disabled:opacity-50"
+                      >
+                        {generating ? 'starting...' : (sessionData?.mode === 'locals' ? 'start voting' : 'start quiz')}
+                      </button>
+                    )}
                     {generateError && (
                       <p className="text-red-400 text-sm text-center mt-3">{generateError}</p>
                     )}
-                    {sessionData?.mode === 'locals' && generating && (
-                      <p className="text-vt-gray text-xs text-center mt-3">this may take up to 60 seconds...</p>
+                    {drafting && !draftPlaces && (
+                      <p className="text-vt-gray text-xs text-center mt-3">this may take a minute or two...</p>
                     )}
                   </>
                 )}
@@ -277,7 +847,9 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
           </>
         ) : (
           <>
-            <h2 className="text-vt-white mb-4 text-sm">participants ({totalCount})</h2>
+            <h2 className="text-vt-white mb-4 text-sm">
+              participants ({totalCount}){sessionData?.locked ? ' · locked' : ''}
+            </h2>
             <div className="flex flex-wrap gap-2 mb-8">
               {allParticipants.map((p) => (
                 <div key={p.id} className="flex items-center gap-2 bg-vt-dark px-3 py-2 rounded-full">
@@ -287,6 +859,28 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
               ))}
             </div>
 
+            {draftPlaces && (
+              <div className="mb-8">
+                <h2 className="text-vt-white mb-2 text-sm">the ballot so far ({draftPlaces.length})</h2>
+                <div className="flex flex-col">
+                  {draftPlaces.map((place) => (
+                    <div key={place.id} className="py-2">
+                      <BallotPlace place={place} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {sessionData?.mode === 'locals' && sessionData?.status === 'lobby' && (
+              <Suggestions
+                suggestions={sessionData?.suggestions}
+                hasDraft={Boolean(draftPlaces)}
+                canSuggest={Boolean(participantId)}
+                onSuggest={onSuggest}
+              />
+            )}
+
             {sessionData?.status === 'lobby' ? (
               <p className="text-vt-gray text-sm text-center">waiting for host to start the quiz...</p>
             ) : (
@@ -299,6 +893,8 @@ function SessionLobby({ sessionData, participantId, participantName, isHost, onJ
             )}
           </>
         )}
+
+        <RejoinCodeNote sessionId={sessionData?.id} code={rejoinCode} />
       </div>
     );
   }
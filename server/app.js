@@ -0,0 +1,104 @@
+import express from 'express';
+import { createServer } from 'http';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { createAuth, jsonBodyErrors } from './middleware.js';
+import { createRealtime } from './realtime.js';
+import { createCache } from './services/cache.js';
+import { createPlacesService } from './services/places.js';
+import { createAiService } from './services/ai.js';
+import { createSessionService } from './services/sessions.js';
+import { createResultsService } from './services/results.js';
+import { sessionRoutes } from './routes/sessions.js';
+import { participantRoutes } from './routes/participants.js';
+import { voteRoutes } from './routes/votes.js';
+import { categoryRoutes } from './routes/categories.js';
+import { suggestionRoutes } from './routes/suggestions.js';
+import { runoffRoutes } from './routes/runoff.js';
+
+// Build the HTTP server, Express app and Socket.io layer around a storage
+// backend (db, see storage/index.js) and external providers (see
+// providers/index.js). Nothing listens or touches the network until the
+// caller does; config defaults to loadConfig({}) for any key left out.
+export function createApp({ db, providers, config: overrides = {} }) {
+  const config = { ...loadConfig({}), ...overrides };
+
+  const app = express();
+  const httpServer = createServer(app);
+  const realtime = createRealtime(httpServer, { config });
+
+  // CORS - tightened for production
+  app.use(cors({
+    origin: config.isProd ? config.allowedOrigins : '*'
+  }));
+  // Bodies are small (answers are one short string per question), so keep the cap tight
+  app.use(express.json({ limit: '16kb' }));
+  app.use(jsonBodyErrors);
+
+  // Rate limiting
+  const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // 100 requests per window per IP
+    message: { error: 'Too many requests, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => !config.rateLimit
+  });
+
+  const createSessionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // 20 sessions per hour per IP
+    message: { error: 'Too many sessions created, please try again later.' },
+    skip: () => !config.rateLimit
+  });
+
+  app.use('/api/', apiLimiter);
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: Date.now() });
+  });
+
+  const cache = createCache(db.cache);
+  const places = createPlacesService({
+    providers,
+    cache,
+    ttl: {
+      geocodeSeconds: config.geocodeCacheTtlHours * 60 * 60,
+      placesSeconds: config.placesCacheTtlHours * 60 * 60
+    }
+  });
+  const ai = createAiService({ providers, places, model: config.aiModel });
+  const sessions = createSessionService({ db, config, cache });
+  const results = createResultsService({ db, ai, sessions, realtime });
+  const ctx = { db, config, realtime, auth: createAuth(db), places, sessions, results, createSessionLimiter };
+
+  // API Routes
+  app.use('/api', sessionRoutes(ctx));
+  app.use('/api', participantRoutes(ctx));
+  app.use('/api', voteRoutes(ctx));
+  app.use('/api', categoryRoutes(ctx));
+  app.use('/api', suggestionRoutes(ctx));
+  app.use('/api', runoffRoutes(ctx));
+
+  // Serve static files
+  app.use(express.static(config.clientDist));
+
+  // Catch-all for SPA
+  app.get('*', (req, res) => {
+    if (!req.path.startsWith('/api')) {
+      res.sendFile(path.join(config.clientDist, 'index.html'));
+    }
+  });
+
+  return {
+    app,
+    httpServer,
+    io: realtime.io,
+    cleanupOldSessions: sessions.cleanupOldSessions,
+    // Stops Socket.io and the HTTP server; the caller owns db
+    close: () => new Promise(resolve => realtime.io.close(() => resolve()))
+  };
+}
@@ -0,0 +1,64 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Lifetimes a host can pick when creating a session
+export const SESSION_EXPIRY_OPTIONS = {
+  '1d': 24,
+  '7d': 7 * 24,
+  '30d': 30 * 24
+};
+
+// Runtime settings, read from the environment once at startup. createApp()
+// fills anything a caller leaves out from loadConfig({}), i.e. the defaults.
+export function loadConfig(env = process.env) {
+  const isProd = env.NODE_ENV === 'production';
+
+  return {
+    isProd,
+    allowedOrigins: env.ALLOWED_ORIGINS?.split(',') || ['*'],
+    port: Number(env.PORT) || 3003,
+    rateLimit: env.NODE_ENV !== 'test',
+    clientDist: path.join(__dirname, '../client/dist'),
+
+    // Retention policy (operator settings)
+    // Sessions expire after the host-picked lifetime (capped at the max), then are
+    // archived as read-only results. Archives are purged after archiveRetentionDays
+    // (0 keeps them forever).
+    sessionDefaultTtlHours: Number(env.SESSION_DEFAULT_TTL_HOURS) || 24,
+    sessionMaxTtlHours: Number(env.SESSION_MAX_TTL_HOURS) || 30 * 24,
+    archiveRetentionDays: env.ARCHIVE_RETENTION_DAYS !== undefined
+      ? Number(env.ARCHIVE_RETENTION_DAYS)
+      : 365,
+
+    // How long geocoding and Overpass lookups are reused before asking OSM again
+    geocodeCacheTtlHours: Number(env.GEOCODE_CACHE_TTL_HOURS) || 30 * 24,
+    placesCacheTtlHours: Number(env.PLACES_CACHE_TTL_HOURS) || 24,
+
+    aiModel: env.AI_MODEL || 'hf:moonshotai/Kimi-K2-Instruct-0905',
+
+    // Storage backend: sqlite (default), memory or postgres
+    storage: {
+      backend: env.STORAGE_BACKEND || 'sqlite',
+      sqlitePath: env.DATABASE_PATH || path.join(__dirname, 'vibe.db'),
+      databaseUrl: env.DATABASE_URL
+    },
+
+    // Photon geocoding, OpenStreetMap Overpass and the Synthetic AI API. PROVIDER_MODE
+    // switches between live calls, recording responses and replaying fixtures.
+    // OVERPASS_API_URL takes a comma-separated list of mirrors, tried in order.
+    providers: {
+      mode: env.PROVIDER_MODE || 'live',
+      fixturesDir: env.PROVIDER_FIXTURES_DIR || path.join(__dirname, 'fixtures'),
+      geocodeUrl: env.GEOCODE_API_URL,
+      overpassUrls: env.OVERPASS_API_URL
+        ? env.OVERPASS_API_URL.split(',').map(url => url.trim()).filter(Boolean)
+        : undefined,
+      overpassRetries: env.OVERPASS_RETRIES !== undefined ? Number(env.OVERPASS_RETRIES) : undefined,
+      overpassBackoffMs: env.OVERPASS_BACKOFF_MS !== undefined ? Number(env.OVERPASS_BACKOFF_MS) : undefined,
+      aiUrl: env.AI_API_URL,
+      aiApiKey: env.SYNTHETIC_API_KEY
+    }
+  };
+}
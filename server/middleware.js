@@ -0,0 +1,64 @@
+import { tokensMatch, isHostOf } from './security.js';
+
+export const ARCHIVED_ERROR = 'This session has been archived and is read-only';
+
+// JSON errors for bodies express.json() rejects (too large, malformed)
+export function jsonBodyErrors(err, req, res, next) {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  next(err);
+}
+
+// Route guards bound to a storage backend
+export function createAuth(db) {
+  // Middleware for host-only routes: requires a matching X-Host-Token header
+  async function requireHost(req, res, next) {
+    const session = await db.sessions.get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!isHostOf(session, req.get('X-Host-Token'))) {
+      return res.status(403).json({ error: 'Only the host can do that' });
+    }
+
+    if (session.archived_at) {
+      return res.status(410).json({ error: ARCHIVED_ERROR });
+    }
+
+    req.session = session;
+    next();
+  }
+
+  // Middleware for participant actions: the participant must belong to this
+  // session and present their private token in the X-Participant-Token header.
+  // participantId comes from the body, or the query string for GETs.
+  async function requireParticipant(req, res, next) {
+    const participantId = req.body?.participantId ?? req.query.participantId;
+    const participant = await db.participants.get(req.params.id, participantId);
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    if (!tokensMatch(participant.token, req.get('X-Participant-Token'))) {
+      return res.status(403).json({ error: 'Not allowed to act as this participant' });
+    }
+
+    const session = await db.sessions.get(req.params.id);
+    if (session.archived_at) {
+      return res.status(410).json({ error: ARCHIVED_ERROR });
+    }
+
+    req.session = session;
+    req.participant = participant;
+    next();
+  }
+
+  return { requireHost, requireParticipant };
+}
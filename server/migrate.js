@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export up(db).
+// Each one runs in its own transaction and is recorded in schema_version,
+// so it is applied exactly once per database.
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+// True if the table already has the column (for baselining older databases)
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function listMigrations(dir) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ version: Number(match[1]), name: file.replace(/\.js$/, ''), file }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+// Apply all pending migrations in order. Throws (and rolls back the failing
+// migration) on error so the server never starts against a half-migrated schema.
+export async function runMigrations(db, dir = MIGRATIONS_DIR) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER DEFAULT (unixepoch())
+    );
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_version').all().map(r => r.version));
+  const pending = listMigrations(dir).filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    const { up } = await import(pathToFileURL(path.join(dir, migration.file)).href);
+    if (typeof up !== 'function') {
+      throw new Error(`Migration ${migration.file} does not export an up(db) function`);
+    }
+
+    db.transaction(() => {
+      up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+    console.log(`Applied migration ${migration.name}`);
+  }
+
+  return pending.map(m => m.name);
+}
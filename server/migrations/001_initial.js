@@ -0,0 +1,53 @@
+import { hasColumn } from '../migrate.js';
+
+// Baseline schema. Databases created before versioned migrations already have
+// some of these tables and columns, so missing columns are added one by one.
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      mode TEXT DEFAULT 'discover',
+      category TEXT NOT NULL,
+      location TEXT,
+      location_radius TEXT,
+      status TEXT DEFAULT 'lobby',
+      host_name TEXT,
+      questions TEXT,
+      places TEXT,
+      results TEXT,
+      created_at INTEGER DEFAULT (unixepoch())
+    );
+
+    CREATE TABLE IF NOT EXISTS participants (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      answers TEXT,
+      completed INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session ON participants(session_id);
+  `);
+
+  const columns = [
+    ['sessions', 'mode', `TEXT DEFAULT 'discover'`],
+    ['sessions', 'places', 'TEXT'],
+    ['sessions', 'host_token', 'TEXT'],
+    ['sessions', 'locked', 'INTEGER DEFAULT 0'],
+    ['sessions', 'expires_at', 'INTEGER'],
+    ['sessions', 'archived_at', 'INTEGER'],
+    ['participants', 'token', 'TEXT'],
+    ['participants', 'rejoin_code', 'TEXT']
+  ];
+
+  for (const [table, column, type] of columns) {
+    if (!hasColumn(db, table, column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+
+  // Sessions from before per-session expiry get the old 24 hour lifetime
+  db.exec(`UPDATE sessions SET expires_at = created_at + 86400 WHERE expires_at IS NULL`);
+}
@@ -0,0 +1,39 @@
+// Move participant answers out of the participants.answers JSON blob into a
+// votes table with one row per (participant, item).
+export function up(db) {
+  db.exec(`
+    CREATE TABLE votes (
+      session_id TEXT NOT NULL,
+      participant_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (participant_id, item_id),
+      FOREIGN KEY (session_id) REFERENCES sessions(id),
+      FOREIGN KEY (participant_id) REFERENCES participants(id)
+    );
+
+    CREATE INDEX idx_votes_session_item ON votes(session_id, item_id);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  for (const p of db.prepare('SELECT id, session_id, answers, created_at FROM participants').all()) {
+    let answers;
+    try {
+      answers = JSON.parse(p.answers || '{}');
+    } catch (err) {
+      console.error(`Skipping unreadable answers for participant ${p.id}`);
+      continue;
+    }
+    for (const [itemId, value] of Object.entries(answers || {})) {
+      if (value === null || value === undefined) continue;
+      insert.run(p.session_id, p.id, String(itemId), String(value), p.created_at);
+    }
+  }
+
+  db.exec(`ALTER TABLE participants DROP COLUMN answers`);
+}
@@ -0,0 +1,4 @@
+// Remember where each participant is in the quiz so autosaved progress can resume
+export function up(db) {
+  db.exec(`ALTER TABLE participants ADD COLUMN progress_index INTEGER DEFAULT 0`);
+}
@@ -0,0 +1,12 @@
+// Read-through cache for geocoding and Overpass lookups, so repeat locations
+// skip the public OSM services until the entry expires
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cache_expires ON cache(expires_at);
+  `);
+}
@@ -0,0 +1,5 @@
+// Host-chosen locals filters (JSON) and the planned local time they're checked against
+export function up(db) {
+  db.exec(`ALTER TABLE sessions ADD COLUMN filters TEXT`);
+  db.exec(`ALTER TABLE sessions ADD COLUMN planned_at TEXT`);
+}
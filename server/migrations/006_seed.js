@@ -0,0 +1,4 @@
+// Seed for the session's place picks, so the ballot can be reproduced or re-rolled
+export function up(db) {
+  db.exec(`ALTER TABLE sessions ADD COLUMN seed INTEGER`);
+}
@@ -0,0 +1,17 @@
+// Places guests propose for the locals ballot, waiting on the host's approval
+export function up(db) {
+  db.exec(`
+    CREATE TABLE suggestions (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      participant_id TEXT,
+      suggested_by TEXT NOT NULL,
+      place TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    );
+
+    CREATE INDEX idx_suggestions_session ON suggestions(session_id);
+  `);
+}
@@ -0,0 +1,32 @@
+// Runoff rounds on a finished locals session: the top places voted on again,
+// ranked-choice, with one ballot per participant per round
+export function up(db) {
+  db.exec(`
+    CREATE TABLE rounds (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      number INTEGER NOT NULL,
+      candidates TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      tally TEXT,
+      winner_id TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      closed_at INTEGER,
+      FOREIGN KEY (session_id) REFERENCES sessions(id)
+    );
+
+    CREATE INDEX idx_rounds_session ON rounds(session_id);
+
+    CREATE TABLE round_ballots (
+      round_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      participant_id TEXT NOT NULL,
+      ranking TEXT NOT NULL,
+      updated_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (round_id, participant_id),
+      FOREIGN KEY (round_id) REFERENCES rounds(id)
+    );
+
+    CREATE INDEX idx_round_ballots_session ON round_ballots(session_id);
+  `);
+}
@@ -0,0 +1,4 @@
+// How the session's locals votes are turned into results (see AGGREGATION_METHODS)
+export function up(db) {
+  db.exec(`ALTER TABLE sessions ADD COLUMN aggregation TEXT`);
+}
@@ -0,0 +1,43 @@
+-- Postgres schema, equivalent to the SQLite migrations up to 002_votes.
+-- Timestamps are unix seconds, like the SQLite schema.
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  mode TEXT DEFAULT 'discover',
+  category TEXT NOT NULL,
+  location TEXT,
+  location_radius TEXT,
+  status TEXT DEFAULT 'lobby',
+  host_name TEXT,
+  host_token TEXT,
+  locked INTEGER DEFAULT 0,
+  questions TEXT,
+  places TEXT,
+  results TEXT,
+  expires_at BIGINT,
+  archived_at BIGINT,
+  created_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT
+);
+
+CREATE TABLE participants (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  name TEXT NOT NULL,
+  token TEXT,
+  rejoin_code TEXT,
+  completed INTEGER DEFAULT 0,
+  created_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT
+);
+
+CREATE INDEX idx_session ON participants(session_id);
+
+CREATE TABLE votes (
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  participant_id TEXT NOT NULL REFERENCES participants(id),
+  item_id TEXT NOT NULL,
+  value TEXT NOT NULL,
+  updated_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT,
+  PRIMARY KEY (participant_id, item_id)
+);
+
+CREATE INDEX idx_votes_session_item ON votes(session_id, item_id);
@@ -0,0 +1,2 @@
+-- Remember where each participant is in the quiz so autosaved progress can resume
+ALTER TABLE participants ADD COLUMN progress_index INTEGER DEFAULT 0;
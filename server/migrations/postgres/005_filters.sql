@@ -0,0 +1,3 @@
+-- Host-chosen locals filters (JSON) and the planned local time they're checked against
+ALTER TABLE sessions ADD COLUMN filters TEXT;
+ALTER TABLE sessions ADD COLUMN planned_at TEXT;
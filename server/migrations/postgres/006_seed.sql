@@ -0,0 +1,2 @@
+-- Seed for the session's place picks, so the ballot can be reproduced or re-rolled
+ALTER TABLE sessions ADD COLUMN seed BIGINT;
@@ -0,0 +1,12 @@
+-- Places guests propose for the locals ballot, waiting on the host's approval
+CREATE TABLE suggestions (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  participant_id TEXT,
+  suggested_by TEXT NOT NULL,
+  place TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  created_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT
+);
+
+CREATE INDEX idx_suggestions_session ON suggestions(session_id);
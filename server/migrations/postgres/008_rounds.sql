@@ -0,0 +1,26 @@
+-- Runoff rounds on a finished locals session: the top places voted on again,
+-- ranked-choice, with one ballot per participant per round
+CREATE TABLE rounds (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  number INTEGER NOT NULL,
+  candidates TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  tally TEXT,
+  winner_id TEXT,
+  created_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT,
+  closed_at BIGINT
+);
+
+CREATE INDEX idx_rounds_session ON rounds(session_id);
+
+CREATE TABLE round_ballots (
+  round_id TEXT NOT NULL REFERENCES rounds(id),
+  session_id TEXT NOT NULL,
+  participant_id TEXT NOT NULL,
+  ranking TEXT NOT NULL,
+  updated_at BIGINT DEFAULT EXTRACT(EPOCH FROM now())::BIGINT,
+  PRIMARY KEY (round_id, participant_id)
+);
+
+CREATE INDEX idx_round_ballots_session ON round_ballots(session_id);
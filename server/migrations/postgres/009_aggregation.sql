@@ -0,0 +1,2 @@
+-- How the session's locals votes are turned into results (see AGGREGATION_METHODS)
+ALTER TABLE sessions ADD COLUMN aggregation TEXT;
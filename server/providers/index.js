@@ -0,0 +1,108 @@
+import { createTransport } from './transport.js';
+
+// External providers: Photon geocoding, Overpass (OpenStreetMap) and the
+// Synthetic chat API. Handlers call these instead of fetch, so the app can run
+// against fixtures or a local stub server with PROVIDER_MODE and the *_URL
+// overrides.
+//
+//   geocode(query)                          -> Photon GeoJSON response
+//   overpass(query, { timeoutMs })          -> Overpass JSON response, retried across mirrors
+//   chat(body, { timeoutMs, fixture })      -> chat completion response
+//   aiEnabled                               -> false when no API key is set (live/record only)
+//
+// Each call throws ProviderError on a non-2xx response, and the fetch
+// AbortError on timeout. Overpass is busy often enough that rate limits (429),
+// gateway errors and timeouts are retried with exponential backoff, rotating
+// through overpassUrls, before the last error is thrown. In replay mode a
+// request with no recorded response falls back to <provider>/<fixture>.json
+// (default.json unless the caller names one), so whole flows can run offline.
+
+export const PROVIDER_MODES = ['live', 'record', 'replay'];
+
+export const DEFAULT_URLS = {
+  geocode: 'https://photon.komoot.io/api/',
+  overpass: [
+    'https://overpass-api.de/api/interpreter',
+    'https://overpass.kumi.systems/api/interpreter'
+  ],
+  ai: 'https://api.synthetic.new/v1/chat/completions'
+};
+
+export class ProviderError extends Error {
+  constructor(provider, status, body) {
+    super(`${provider} responded with ${status}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+function isRetryable(err) {
+  if (err instanceof ProviderError) return RETRYABLE_STATUSES.includes(err.status);
+  // AbortError is our timeout; fetch rejects with a TypeError when the network fails
+  return err.name === 'AbortError' || err instanceof TypeError;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createProviders({
+  mode = 'live',
+  fixturesDir,
+  geocodeUrl = DEFAULT_URLS.geocode,
+  overpassUrls = DEFAULT_URLS.overpass,
+  overpassRetries = 2,
+  overpassBackoffMs = 1000,
+  aiUrl = DEFAULT_URLS.ai,
+  aiApiKey,
+  fetch = globalThis.fetch
+} = {}) {
+  if (!PROVIDER_MODES.includes(mode)) {
+    throw new Error(`Unknown PROVIDER_MODE "${mode}" (expected ${PROVIDER_MODES.join(', ')})`);
+  }
+
+  const send = createTransport({ mode, fixturesDir, fetch });
+
+  return {
+    mode,
+    aiEnabled: mode === 'replay' || Boolean(aiApiKey),
+
+    geocode(query) {
+      const url = `${geocodeUrl}?q=${encodeURIComponent(query)}&limit=1`;
+      return send('photon', { url, headers: { 'User-Agent': 'VibeChecker/1.0' } });
+    },
+
+    async overpass(query, { timeoutMs } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        const url = overpassUrls[attempt % overpassUrls.length];
+        try {
+          return await send('overpass', {
+            url,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `data=${encodeURIComponent(query)}`
+          }, { timeoutMs });
+        } catch (err) {
+          if (attempt >= overpassRetries || !isRetryable(err)) throw err;
+          const delay = overpassBackoffMs * 2 ** attempt;
+          console.warn(`Overpass ${url} failed (${err.status || err.name}), retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    chat(body, { timeoutMs, fixture } = {}) {
+      return send('ai', {
+        url: aiUrl,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${aiApiKey}`
+        },
+        body: JSON.stringify(body)
+      }, { timeoutMs, fixture });
+    }
+  };
+}
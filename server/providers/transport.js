@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ProviderError } from './index.js';
+
+// Fixture files live at <fixturesDir>/<provider>/<key>.json, where the key is
+// a hash of the request URL, method and body (never headers, so API keys stay
+// out of recordings). Each file holds { request, status, body }.
+export function fixtureKey({ url, method = 'GET', body = '' }) {
+  return crypto.createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+}
+
+function readFixture(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export function createTransport({ mode, fixturesDir, fetch }) {
+  if (mode !== 'live' && !fixturesDir) {
+    throw new Error(`PROVIDER_MODE=${mode} needs a fixtures directory`);
+  }
+
+  return async function send(provider, request, { timeoutMs, fixture = 'default' } = {}) {
+    const { url, method = 'GET', headers, body } = request;
+    const dir = fixturesDir && path.join(fixturesDir, provider);
+    const key = fixtureKey(request);
+
+    let status;
+    let responseBody;
+
+    if (mode === 'replay') {
+      const recorded = readFixture(path.join(dir, `${key}.json`)) ||
+        readFixture(path.join(dir, `${fixture}.json`));
+      if (!recorded) {
+        throw new Error(`No ${provider} fixture for ${method} ${url} (looked for ${key}.json and ${fixture}.json in ${dir})`);
+      }
+      ({ status = 200, body: responseBody } = recorded);
+    } else {
+      const controller = new AbortController();
+      const timeoutId = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+      try {
+        const response = await fetch(url, { method, headers, body, signal: controller.signal });
+        status = response.status;
+        responseBody = await parseBody(response);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (mode === 'record') {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(
+          path.join(dir, `${key}.json`),
+          JSON.stringify({ request: { url, method, body }, status, body: responseBody }, null, 2)
+        );
+      }
+    }
+
+    if (status < 200 || status >= 300) {
+      throw new ProviderError(provider, status, responseBody);
+    }
+    return responseBody;
+  };
+}
@@ -0,0 +1,43 @@
+import { Server } from 'socket.io';
+
+// Socket.io layer. Clients join a session:<id> room; routes push updates to a
+// session with broadcast(). Host-only actions go through the HTTP routes,
+// which check the host token.
+export function createRealtime(httpServer, { config }) {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: config.isProd ? config.allowedOrigins : "*",
+      methods: ["GET", "POST"]
+    }
+  });
+
+  // Socket.io for real-time updates
+  io.on('connection', (socket) => {
+    console.log('Socket connected:', socket.id);
+
+    // An optional ack callback fires once the room is joined
+    socket.on('join_session', (sessionId, ack) => {
+      if (typeof sessionId !== 'string') return;
+
+      console.log(`Socket ${socket.id} joining session:${sessionId}`);
+      socket.join(`session:${sessionId}`);
+
+      if (typeof ack === 'function') ack();
+    });
+
+    socket.on('leave_session', (sessionId) => {
+      console.log(`Socket ${socket.id} leaving session:${sessionId}`);
+      socket.leave(`session:${sessionId}`);
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Socket disconnected:', socket.id);
+    });
+  });
+
+  function broadcast(sessionId, event, payload) {
+    io.to(`session:${sessionId}`).emit(event, payload);
+  }
+
+  return { io, broadcast };
+}
@@ -0,0 +1,13 @@
+import express from 'express';
+import { publicCategories } from '../services/categories.js';
+
+// The category registry, for the client's picker
+export function categoryRoutes() {
+  const router = express.Router();
+
+  router.get('/categories', (req, res) => {
+    res.json({ categories: publicCategories() });
+  });
+
+  return router;
+}
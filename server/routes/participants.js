@@ -0,0 +1,78 @@
+import express from 'express';
+import { sanitize } from '../security.js';
+
+// Host moderation of the participant list: merge, remove, rename
+export function participantRoutes(ctx) {
+  const { db, realtime } = ctx;
+  const { requireHost } = ctx.auth;
+  const { settleSession } = ctx.results;
+
+  const router = express.Router();
+
+  // Merge an accidental duplicate participant into another one (host only).
+  // Answers from both are combined, preferring the kept participant's votes.
+  router.post('/session/:id/participants/merge', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const { keepId, mergeId } = req.body;
+
+    if (!keepId || !mergeId || keepId === mergeId) {
+      return res.status(400).json({ error: 'Pick two different participants to merge' });
+    }
+
+    const keep = await db.participants.get(id, keepId);
+    const merge = await db.participants.get(id, mergeId);
+    if (!keep || !merge) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    await db.participants.merge(keepId, mergeId);
+
+    realtime.broadcast(id, 'participants_merged', { keptId: keepId, removedId: mergeId });
+    await settleSession(id, `${merge.name} was merged into ${keep.name}`);
+
+    res.json({ success: true });
+  });
+
+  // Remove a participant from the session (host only)
+  router.delete('/session/:id/participants/:participantId', requireHost, async (req, res) => {
+    const { id, participantId } = req.params;
+
+    const participant = await db.participants.get(id, participantId);
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    await db.participants.remove(participantId);
+
+    realtime.broadcast(id, 'participant_removed', { id: participantId, name: participant.name });
+    await settleSession(id, `${participant.name} was removed`);
+
+    res.json({ success: true });
+  });
+
+  // Rename a participant (host only)
+  router.post('/session/:id/participants/:participantId/rename', requireHost, async (req, res) => {
+    const { id, participantId } = req.params;
+    const name = sanitize(req.body.name, 50);
+
+    if (!name || name.length < 1) {
+      return res.status(400).json({ error: 'Name required' });
+    }
+
+    const participant = await db.participants.get(id, participantId);
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    await db.participants.update(participantId, { name });
+
+    realtime.broadcast(id, 'participant_renamed', { id: participantId, name, previousName: participant.name });
+    if (req.session.status === 'complete') {
+      await settleSession(id, `${participant.name} is now ${name}`);
+    }
+
+    res.json({ success: true, id: participantId, name });
+  });
+
+  return router;
+}
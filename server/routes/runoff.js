@@ -0,0 +1,157 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { publicRound } from '../services/sessions.js';
+import { instantRunoff, runoffCandidates } from '../services/scoring.js';
+
+// Places a runoff round can be between
+const MIN_CANDIDATES = 2;
+const MAX_CANDIDATES = 5;
+
+// Runoff rounds for finished locals sessions: the host puts the top results
+// to a quick ranked-choice vote, and can run further rounds on the leaders of
+// the last one. Rounds go stale when the results change under them (see
+// publishResults).
+export function runoffRoutes(ctx) {
+  const { db, realtime } = ctx;
+  const { requireHost, requireParticipant } = ctx.auth;
+
+  const router = express.Router();
+
+  // Why a round that isn't open can't take votes or be closed
+  function notOpen(row) {
+    return row.status === 'stale' ? 'The results changed after this runoff round started' : 'This runoff round is closed';
+  }
+
+  async function roundFor(row) {
+    return publicRound(row, await db.rounds.ballots(row.id));
+  }
+
+  // Count the round's ballots, store the outcome and announce the winner.
+  // Returns null when another request closed the round first.
+  async function closeRound(sessionId, row) {
+    const candidateIds = JSON.parse(row.candidates).map(p => p.id);
+    const tally = instantRunoff(candidateIds, Object.values(await db.rounds.ballots(row.id)));
+    const closed = await db.rounds.close(row.id, {
+      tally: JSON.stringify(tally),
+      winner_id: tally.winnerId,
+      closed_at: Math.floor(Date.now() / 1000)
+    });
+    if (!closed) return null;
+
+    const round = await roundFor(await db.rounds.get(sessionId, row.id));
+    realtime.broadcast(sessionId, 'runoff_closed', { round });
+    return round;
+  }
+
+  // Start a runoff round (host only) on the top `size` results, or on the
+  // leaders of the last round when there has been one since the results last
+  // changed. A follow-up round has to drop at least one place, or a tie could
+  // just repeat.
+  router.post('/session/:id/runoff', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+    const { size = 3 } = req.body;
+
+    if (session.mode !== 'locals') {
+      return res.status(400).json({ error: 'Runoffs are only for locals mode' });
+    }
+    if (session.status !== 'complete') {
+      return res.status(409).json({ error: 'Results are not in yet' });
+    }
+    if (!Number.isInteger(size) || size < MIN_CANDIDATES || size > MAX_CANDIDATES) {
+      return res.status(400).json({ error: `size must be ${MIN_CANDIDATES} to ${MAX_CANDIDATES}` });
+    }
+
+    const rounds = await db.rounds.list(id);
+    const last = rounds.filter(r => r.status !== 'stale').at(-1);
+    if (last?.status === 'open') {
+      return res.status(409).json({ error: 'A runoff round is already open' });
+    }
+    const lastSize = last ? JSON.parse(last.candidates).length : null;
+    if (last && size >= lastSize) {
+      return res.status(400).json({ error: `The next round needs fewer places than the last one (${lastSize})` });
+    }
+
+    const candidateIds = last
+      ? JSON.parse(last.tally).standings.slice(0, size)
+      : runoffCandidates(await db.results.get(id), size);
+    if (candidateIds.length < MIN_CANDIDATES) {
+      return res.status(400).json({ error: 'There are not enough top places for a runoff' });
+    }
+
+    const placeMap = new Map(JSON.parse(session.places || '[]').map(p => [p.id, p]));
+    const candidates = candidateIds.map(pid => placeMap.get(pid)).filter(Boolean);
+
+    const roundId = nanoid(10);
+    await db.rounds.create({
+      id: roundId,
+      session_id: id,
+      number: rounds.length + 1,
+      candidates: JSON.stringify(candidates)
+    });
+
+    const round = await roundFor(await db.rounds.get(id, roundId));
+    realtime.broadcast(id, 'runoff_started', { round });
+    res.json({ round });
+  });
+
+  // Rank the round's places, favorite first (participants). Leaving places
+  // out is fine. Once everyone has voted the round closes itself.
+  router.post('/session/:id/runoff/:roundId/vote', requireParticipant, async (req, res) => {
+    const { id, roundId } = req.params;
+    const { ranking } = req.body;
+    const participant = req.participant;
+
+    const row = await db.rounds.get(id, roundId);
+    if (!row) {
+      return res.status(404).json({ error: 'Runoff round not found' });
+    }
+    if (row.status !== 'open') {
+      return res.status(409).json({ error: notOpen(row) });
+    }
+
+    const candidateIds = JSON.parse(row.candidates).map(p => p.id);
+    if (!Array.isArray(ranking) || ranking.length === 0 || new Set(ranking).size !== ranking.length ||
+        !ranking.every(pid => candidateIds.includes(pid))) {
+      return res.status(400).json({ error: 'ranking must list places from this round, each at most once' });
+    }
+
+    await db.rounds.vote(id, roundId, participant.id, ranking);
+
+    const ballots = await db.rounds.ballots(roundId);
+    const participants = await db.participants.list(id);
+    if (participants.every(p => ballots[p.id])) {
+      // A concurrent last vote may have closed it already
+      const round = await closeRound(id, row) ?? await roundFor(await db.rounds.get(id, roundId));
+      return res.json({ round });
+    }
+
+    const round = publicRound(row, ballots);
+    realtime.broadcast(id, 'runoff_voted', { roundId, voterIds: round.voterIds });
+    res.json({ round });
+  });
+
+  // Close a round early with whoever has voted (host only)
+  router.post('/session/:id/runoff/:roundId/close', requireHost, async (req, res) => {
+    const { id, roundId } = req.params;
+
+    const row = await db.rounds.get(id, roundId);
+    if (!row) {
+      return res.status(404).json({ error: 'Runoff round not found' });
+    }
+    if (row.status !== 'open') {
+      return res.status(409).json({ error: notOpen(row) });
+    }
+    if (Object.keys(await db.rounds.ballots(roundId)).length === 0) {
+      return res.status(400).json({ error: 'Nobody has voted in this round yet' });
+    }
+
+    const round = await closeRound(id, row);
+    if (!round) {
+      return res.status(409).json({ error: notOpen(await db.rounds.get(id, roundId)) });
+    }
+    res.json({ round });
+  });
+
+  return router;
+}
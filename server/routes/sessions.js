@@ -0,0 +1,526 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { SESSION_EXPIRY_OPTIONS } from '../config.js';
+import { ARCHIVED_ERROR } from '../middleware.js';
+import { sanitize } from '../security.js';
+import { publicRound, publicSession, publicSuggestion } from '../services/sessions.js';
+import { MAX_BALLOT, PlacesError, sessionRadiusMeters } from '../services/places.js';
+import { generateQuestions } from '../services/questions.js';
+import { CATEGORIES, getCategory } from '../services/categories.js';
+import { parseFilters } from '../services/filters.js';
+import { hoursStatus, parsePlannedAt } from '../services/openingHours.js';
+import { newSeed } from '../services/random.js';
+import { AGGREGATION_METHODS } from '../services/scoring.js';
+
+// What the host sees when locals mode can't build a ballot, by PlacesError code
+const PLACES_ERRORS = {
+  location_not_found: [422, "Couldn't find that location. Check the spelling or try a nearby city."],
+  empty_area: [404, 'No places found in this area. Try a larger radius.'],
+  no_matches: [404, 'No places here match your filters. Try loosening them or a larger radius.'],
+  rate_limited: [503, 'OpenStreetMap is rate limiting us right now. Wait a minute and try again.'],
+  timeout: [504, 'OpenStreetMap took too long to answer. Try again or use a smaller radius.'],
+  unavailable: [502, 'OpenStreetMap is unavailable right now. Try again in a few minutes.']
+};
+
+// Session lifecycle: create, read, draft, edit and generate the ballot, join, rejoin, results, close, lock, plan
+export function sessionRoutes(ctx) {
+  const { db, config, realtime, createSessionLimiter } = ctx;
+  const { requireHost } = ctx.auth;
+  const { fetchLocalPlaces, findPlacesByName } = ctx.places;
+  const { generateRejoinCode, withAnswers, approvedPlaces } = ctx.sessions;
+  const { buildResults } = ctx.results;
+
+  const router = express.Router();
+
+  // Locals mode: pick the session's places from OpenStreetMap with the given
+  // seed, keeping any pinned ones (see fetchLocalPlaces)
+  function pickPlaces(session, { seed, pinned = [] }) {
+    console.log(`Fetching local places for session ${session.id}, category: ${session.category}, seed: ${seed}`);
+    return fetchLocalPlaces(session.category, session.location, sessionRadiusMeters(session), {
+      filters: JSON.parse(session.filters || 'null'),
+      plannedAt: session.planned_at,
+      seed,
+      pinned
+    });
+  }
+
+  function sendPlacesError(res, err) {
+    if (!(err instanceof PlacesError)) console.error('Locals mode lookup failed:', err);
+    const code = err instanceof PlacesError ? err.code : 'unavailable';
+    const [status, error] = PLACES_ERRORS[code];
+    return res.status(status).json({ error, code });
+  }
+
+  // Why the host can't change the ballot right now, or null if they can
+  function draftLocked(session) {
+    if (session.mode !== 'locals') return [400, 'Only locals mode ballots can be drafted'];
+    if (session.status !== 'lobby') return [409, 'Voting has already started'];
+    return null;
+  }
+
+  // Store an edited draft and show it to everyone in the lobby
+  async function saveDraft(session, places, fields = {}) {
+    await db.sessions.update(session.id, { ...fields, places: JSON.stringify(places) });
+    realtime.broadcast(session.id, 'ballot_updated', { places });
+  }
+
+  // Create session (rate limited to prevent abuse)
+  router.post('/session', createSessionLimiter, async (req, res) => {
+    const { mode, category, locationRadius, expiresIn } = req.body;
+    const hostName = sanitize(req.body.hostName, 50);
+    const location = sanitize(req.body.location || '', 100);
+    const sessionMode = mode || 'discover';
+
+    if (!category || !hostName || hostName.length < 1) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!getCategory(category)) {
+      return res.status(400).json({ error: `category must be one of ${Object.keys(CATEGORIES).join(', ')}` });
+    }
+
+    if (sessionMode === 'locals' && !location) {
+      return res.status(400).json({ error: 'Location is required for locals mode' });
+    }
+
+    // Filters and the planned time only shape the locals ballot
+    const plannedAt = sessionMode === 'locals' ? req.body.plannedAt || null : null;
+    if (plannedAt && !parsePlannedAt(plannedAt)) {
+      return res.status(400).json({ error: 'plannedAt must be a local date and time like 2026-10-20T19:30' });
+    }
+
+    const { filters, errors } = sessionMode === 'locals'
+      ? parseFilters(req.body.filters, { plannedAt })
+      : { filters: null, errors: [] };
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters', fields: errors });
+    }
+
+    const aggregation = sessionMode === 'locals' ? req.body.aggregation || null : null;
+    if (aggregation && !Object.hasOwn(AGGREGATION_METHODS, aggregation)) {
+      return res.status(400).json({ error: `aggregation must be one of ${Object.keys(AGGREGATION_METHODS).join(', ')}` });
+    }
+
+    if (expiresIn && !SESSION_EXPIRY_OPTIONS[expiresIn]) {
+      return res.status(400).json({ error: `expiresIn must be one of ${Object.keys(SESSION_EXPIRY_OPTIONS).join(', ')}` });
+    }
+
+    const ttlHours = Math.min(SESSION_EXPIRY_OPTIONS[expiresIn] || config.sessionDefaultTtlHours, config.sessionMaxTtlHours);
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlHours * 60 * 60;
+
+    const id = nanoid(8);
+    const hostToken = nanoid(32);
+    await db.sessions.create({
+      id,
+      mode: sessionMode,
+      category,
+      location: location || null,
+      location_radius: locationRadius || null,
+      host_name: hostName,
+      host_token: hostToken,
+      expires_at: expiresAt,
+      filters: filters ? JSON.stringify(filters) : null,
+      planned_at: plannedAt,
+      aggregation
+    });
+
+    // Add host as participant
+    const hostParticipantId = nanoid(8);
+    const participantToken = nanoid(32);
+    const rejoinCode = await generateRejoinCode(id);
+    await db.participants.create({
+      id: hostParticipantId,
+      session_id: id,
+      name: hostName,
+      token: participantToken,
+      rejoin_code: rejoinCode
+    });
+
+    res.json({ id, link: `/session/${id}`, participantId: hostParticipantId, participantToken, rejoinCode, hostToken, expiresAt });
+  });
+
+  // Get session status
+  router.get('/session/:id', async (req, res) => {
+    const { id } = req.params;
+    const session = await db.sessions.get(id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const participants = (await db.participants.list(id))
+      .map(p => ({ id: p.id, name: p.name, completed: p.completed }));
+    const completedCount = participants.filter(p => p.completed).length;
+
+    const suggestions = session.mode === 'locals' ? (await db.suggestions.list(id)).map(publicSuggestion) : [];
+    const rounds = [];
+    for (const row of session.mode === 'locals' ? await db.rounds.list(id) : []) {
+      rounds.push(publicRound(row, await db.rounds.ballots(row.id)));
+    }
+
+    res.json({
+      ...publicSession(session),
+      participants,
+      suggestions,
+      rounds,
+      completedCount,
+      waitingCount: participants.length - completedCount
+    });
+  });
+
+  // Generate questions for session (host only)
+  router.post('/session/:id/generate', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+
+    if (session.mode === 'locals') {
+      // Locals mode: open voting on the host's reviewed draft (see /draft), or
+      // fetch real places from OpenStreetMap with a fresh seed, keeping any
+      // suggestions the host already approved
+      const fields = {};
+      let places;
+      if (session.status === 'lobby' && session.places) {
+        places = JSON.parse(session.places).map(({ pinned, ...place }) => place);
+        if (places.length === 0) {
+          return res.status(400).json({ error: 'Add at least one place to the ballot' });
+        }
+      } else {
+        fields.seed = newSeed();
+        const approved = await approvedPlaces(session);
+        try {
+          places = (await pickPlaces(session, { seed: fields.seed, pinned: approved })).map(({ pinned, ...place }) => place);
+        } catch (err) {
+          return sendPlacesError(res, err);
+        }
+      }
+
+      // Everyone gets the final list before voting opens on it
+      realtime.broadcast(id, 'ballot_updated', { places });
+      await db.sessions.update(id, {
+        ...fields,
+        places: JSON.stringify(places),
+        questions: JSON.stringify(places),
+        status: 'collecting'
+      });
+
+      realtime.broadcast(id, 'questions_ready', { questions: places, mode: 'locals' });
+      res.json({ questions: places, mode: 'locals' });
+    } else {
+      // Discover mode: use hardcoded question pairs
+      console.log(`Getting questions for session ${id}, category: ${session.category}`);
+      const questions = generateQuestions(session.category);
+
+      if (!questions || questions.length === 0) {
+        console.error('No questions available for category:', session.category);
+        return res.status(500).json({ error: 'No questions available for this category.' });
+      }
+
+      await db.sessions.update(id, { questions: JSON.stringify(questions), status: 'collecting' });
+
+      realtime.broadcast(id, 'questions_ready', { questions });
+      res.json({ questions });
+    }
+  });
+
+  // Draft or re-roll the locals ballot before voting opens (host only). Pinned
+  // places from the current draft (and, for the first pick, approved
+  // suggestions) are kept; the rest are drawn again with a new seed, or the
+  // given one to reproduce a pick.
+  router.post('/session/:id/draft', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+    const { pinned: pinnedIds = [], seed = newSeed() } = req.body;
+
+    const locked = draftLocked(session);
+    if (locked) {
+      return res.status(locked[0]).json({ error: locked[1] });
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+      return res.status(400).json({ error: 'seed must be a 32-bit unsigned integer' });
+    }
+
+    const draft = JSON.parse(session.places || '[]');
+    if (!Array.isArray(pinnedIds) || !pinnedIds.every(pid => draft.some(p => p.id === pid))) {
+      return res.status(400).json({ error: 'pinned must list places from the current draft' });
+    }
+    const pinned = [
+      ...draft.filter(p => pinnedIds.includes(p.id)).map(p => ({ ...p, pinned: true })),
+      ...await approvedPlaces(session)
+    ];
+
+    let places;
+    try {
+      places = await pickPlaces(session, { seed, pinned });
+    } catch (err) {
+      return sendPlacesError(res, err);
+    }
+
+    await saveDraft(session, places, { seed });
+    res.json({ places, seed });
+  });
+
+  // Search OpenStreetMap by name near the session's location, for the host to
+  // add a specific spot to the draft (host only)
+  router.get('/session/:id/draft/search', requireHost, async (req, res) => {
+    const session = req.session;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    const locked = draftLocked(session);
+    if (locked) {
+      return res.status(locked[0]).json({ error: locked[1] });
+    }
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({ error: 'Search for 2 to 100 characters' });
+    }
+
+    try {
+      const places = await findPlacesByName(q, session.location, sessionRadiusMeters(session), { plannedAt: session.planned_at });
+      res.json({ places });
+    } catch (err) {
+      sendPlacesError(res, err);
+    }
+  });
+
+  // Add a place to the draft (host only): { query, id } for a result of the
+  // search above, looked up again rather than trusted from the client, or
+  // { name, address } for a spot that isn't on OpenStreetMap
+  router.post('/session/:id/draft/places', requireHost, async (req, res) => {
+    const session = req.session;
+    const { query, id: placeId } = req.body;
+
+    const locked = draftLocked(session);
+    if (locked) {
+      return res.status(locked[0]).json({ error: locked[1] });
+    }
+
+    const draft = JSON.parse(session.places || '[]');
+    if (draft.length >= MAX_BALLOT) {
+      return res.status(409).json({ error: `The ballot can hold at most ${MAX_BALLOT} places` });
+    }
+
+    let place;
+    if (placeId !== undefined) {
+      if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({ error: 'query is required to add a search result' });
+      }
+      try {
+        const found = await findPlacesByName(query, session.location, sessionRadiusMeters(session), { plannedAt: session.planned_at });
+        place = found.find(p => p.id === placeId);
+      } catch (err) {
+        return sendPlacesError(res, err);
+      }
+      if (!place) {
+        return res.status(404).json({ error: 'Place not found near this session' });
+      }
+    } else {
+      // Stored as plain text like OpenStreetMap names; the client escapes on render
+      const plain = (value, maxLen) => typeof value === 'string' ? value.trim().slice(0, maxLen) : '';
+      const name = plain(req.body.name, 80);
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      place = {
+        id: `custom_${nanoid(8)}`,
+        name,
+        address: plain(req.body.address, 120) || null,
+        website: null,
+        tel: null,
+        hours: null,
+        hours_status: { open: null, label: null },
+        cuisine: null,
+        amenity: null,
+        custom: true
+      };
+    }
+
+    if (draft.some(p => p.id === place.id)) {
+      return res.status(409).json({ error: 'That place is already on the ballot' });
+    }
+
+    // Added by hand, so a re-roll keeps it
+    const places = [...draft, { ...place, pinned: true }];
+    await saveDraft(session, places);
+    res.json({ places });
+  });
+
+  // Take a place off the draft (host only)
+  router.delete('/session/:id/draft/places/:placeId', requireHost, async (req, res) => {
+    const session = req.session;
+
+    const locked = draftLocked(session);
+    if (locked) {
+      return res.status(locked[0]).json({ error: locked[1] });
+    }
+
+    const draft = JSON.parse(session.places || '[]');
+    const places = draft.filter(p => p.id !== req.params.placeId);
+    if (places.length === draft.length) {
+      return res.status(404).json({ error: 'Place not on the ballot' });
+    }
+
+    await saveDraft(session, places);
+    res.json({ places });
+  });
+
+  // Join session
+  router.post('/session/:id/join', async (req, res) => {
+    const { id } = req.params;
+    const name = sanitize(req.body.name, 50);
+
+    if (!name || name.length < 1) {
+      return res.status(400).json({ error: 'Name required' });
+    }
+
+    const session = await db.sessions.get(id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (session.archived_at) {
+      return res.status(410).json({ error: ARCHIVED_ERROR });
+    }
+
+    if (session.locked) {
+      return res.status(403).json({ error: 'This session is locked. Ask the host to let you in.' });
+    }
+
+    const participantId = nanoid(8);
+    const token = nanoid(32);
+    const rejoinCode = await generateRejoinCode(id);
+    await db.participants.create({
+      id: participantId,
+      session_id: id,
+      name,
+      token,
+      rejoin_code: rejoinCode
+    });
+
+    // Notify host of new participant
+    realtime.broadcast(id, 'participant_joined', { name, id: participantId });
+
+    res.json({ id: participantId, name, token, rejoinCode, session: publicSession(session) });
+  });
+
+  // Reclaim an existing participant on another device with their rejoin code.
+  // The participant keeps their row, so answers and completed state follow them.
+  router.post('/session/:id/rejoin', async (req, res) => {
+    const { id } = req.params;
+    const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+
+    const session = await db.sessions.get(id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const participant = code && await db.participants.findByRejoinCode(id, code);
+    if (!participant) {
+      return res.status(404).json({ error: 'No one with that rejoin code in this session' });
+    }
+
+    res.json({
+      id: participant.id,
+      name: participant.name,
+      token: participant.token,
+      rejoinCode: participant.rejoin_code,
+      completed: Boolean(participant.completed),
+      session: publicSession(session)
+    });
+  });
+
+  // Get results (also serves archived sessions, read-only)
+  router.get('/session/:id/results', async (req, res) => {
+    const { id } = req.params;
+    const session = await db.sessions.get(id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // answers stay a JSON string per participant, as before votes had their own table
+    const participants = (await withAnswers(id, await db.participants.list(id)))
+      .map(p => ({ name: p.name, answers: JSON.stringify(p.answers), completed: p.completed }));
+    const results = session.results ? JSON.parse(session.results) : null;
+
+    res.json({
+      session: publicSession(session),
+      participants,
+      results,
+      archived: Boolean(session.archived_at)
+    });
+  });
+
+  // Force close voting and generate results with completed participants only (host only)
+  router.post('/session/:id/close', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+
+    if (session.status === 'complete') {
+      return res.status(400).json({ error: 'Session already complete' });
+    }
+
+    // Get only completed participants
+    const participants = (await db.participants.list(id)).filter(p => p.completed);
+
+    if (participants.length === 0) {
+      return res.status(400).json({ error: 'No participants have completed the quiz yet' });
+    }
+
+    // Generate results with whoever has finished
+    const results = await buildResults(session, await withAnswers(id, participants));
+
+    await db.results.save(id, results);
+    realtime.broadcast(id, 'results_ready', { results });
+
+    res.json({ success: true, results });
+  });
+
+  // Lock or unlock the lobby so no new joins are accepted (host only)
+  router.post('/session/:id/lock', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const locked = req.body.locked !== false;
+
+    await db.sessions.update(id, { locked: locked ? 1 : 0 });
+    realtime.broadcast(id, 'session_locked', { locked });
+
+    res.json({ success: true, locked });
+  });
+
+  // Set or clear when the group plans to go (host only, locals mode, before the
+  // ballot is built since places are checked against it then)
+  router.post('/session/:id/plan', requireHost, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+    const plannedAt = req.body.plannedAt || null;
+
+    if (session.mode !== 'locals') {
+      return res.status(400).json({ error: 'Planned times are only used in locals mode' });
+    }
+    if (session.status !== 'lobby') {
+      return res.status(409).json({ error: 'Voting has already started' });
+    }
+    if (plannedAt && !parsePlannedAt(plannedAt)) {
+      return res.status(400).json({ error: 'plannedAt must be a local date and time like 2026-10-20T19:30' });
+    }
+
+    // "Only places open then" means nothing without a time, so clearing it drops the filter
+    const fields = { planned_at: plannedAt };
+    const filters = JSON.parse(session.filters || 'null');
+    if (!plannedAt && filters?.openAtPlannedTime) {
+      const { openAtPlannedTime, ...rest } = filters;
+      fields.filters = Object.keys(rest).length > 0 ? JSON.stringify(rest) : null;
+    }
+
+    // A draft ballot keeps its places, but their open/closed status follows the new time
+    if (session.places) {
+      const draft = JSON.parse(session.places).map(p => ({ ...p, hours_status: hoursStatus(p.hours, plannedAt) }));
+      fields.places = JSON.stringify(draft);
+    }
+
+    await db.sessions.update(id, fields);
+    realtime.broadcast(id, 'session_planned', { plannedAt });
+
+    res.json({ success: true, plannedAt });
+  });
+
+  return router;
+}
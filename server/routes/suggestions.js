@@ -0,0 +1,132 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { MAX_BALLOT, PlacesError, sessionRadiusMeters } from '../services/places.js';
+import { publicSuggestion } from '../services/sessions.js';
+
+// Most suggestions one guest can have waiting on the host at a time
+const MAX_PENDING = 3;
+
+// Status for a failed name lookup, by PlacesError code
+const LOOKUP_STATUS = { rate_limited: 503, timeout: 504 };
+
+// Guest-suggested places for the locals ballot: participants propose a place
+// by name, the host approves (appending it to the draft) or rejects it
+export function suggestionRoutes(ctx) {
+  const { db, realtime } = ctx;
+  const { requireHost, requireParticipant } = ctx.auth;
+  const { findPlacesByName } = ctx.places;
+  const { approvedPlaces } = ctx.sessions;
+
+  const router = express.Router();
+
+  // Why the ballot can't take suggestions right now, or null if it can
+  function suggestionsClosed(session) {
+    if (session.mode !== 'locals') return [400, 'Suggestions are only for locals mode'];
+    if (session.status !== 'lobby') return [409, 'Voting has already started'];
+    return null;
+  }
+
+  // Suggest a place by name (participants). It's looked up on OpenStreetMap
+  // near the session and the first match not already on the ballot or waiting
+  // for review is kept.
+  router.post('/session/:id/suggestions', requireParticipant, async (req, res) => {
+    const { id } = req.params;
+    const session = req.session;
+    const participant = req.participant;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    const closed = suggestionsClosed(session);
+    if (closed) {
+      return res.status(closed[0]).json({ error: closed[1] });
+    }
+    if (name.length < 2 || name.length > 100) {
+      return res.status(400).json({ error: 'Suggest a place name of 2 to 100 characters' });
+    }
+
+    const existing = await db.suggestions.list(id);
+    const pending = existing.filter(s => s.status === 'pending');
+    if (pending.filter(s => s.participant_id === participant.id).length >= MAX_PENDING) {
+      return res.status(409).json({ error: `You already have ${MAX_PENDING} suggestions waiting on the host` });
+    }
+
+    let found;
+    try {
+      found = await findPlacesByName(name, session.location, sessionRadiusMeters(session), { plannedAt: session.planned_at });
+    } catch (err) {
+      if (!(err instanceof PlacesError)) console.error('Suggestion lookup failed:', err);
+      const code = err instanceof PlacesError ? err.code : 'unavailable';
+      return res.status(LOOKUP_STATUS[code] || 502).json({ error: "Couldn't look that place up right now. Try again in a minute.", code });
+    }
+    if (found.length === 0) {
+      return res.status(404).json({ error: `Couldn't find "${name}" near this session` });
+    }
+
+    const taken = new Set([
+      ...JSON.parse(session.places || '[]').map(p => p.id),
+      ...pending.map(s => JSON.parse(s.place).id),
+      ...(await approvedPlaces(session)).map(p => p.id)
+    ]);
+    const place = found.find(p => !taken.has(p.id));
+    if (!place) {
+      return res.status(409).json({ error: `${found[0].name} is already on the ballot or suggested` });
+    }
+
+    const suggestionId = nanoid(10);
+    await db.suggestions.create({
+      id: suggestionId,
+      session_id: id,
+      participant_id: participant.id,
+      suggested_by: participant.name,
+      place: JSON.stringify(place)
+    });
+
+    const suggestion = publicSuggestion(await db.suggestions.get(id, suggestionId));
+    realtime.broadcast(id, 'suggestion_added', { suggestion });
+    res.json({ suggestion });
+  });
+
+  // Approve or reject a waiting suggestion (host only). Approved places go
+  // to the end of the draft ballot, pinned so a re-roll keeps them. Before
+  // there's a draft they stay with the suggestion until the first pick
+  // (see approvedPlaces).
+  async function review(req, res, status) {
+    const { id, suggestionId } = req.params;
+    const session = req.session;
+
+    const closed = suggestionsClosed(session);
+    if (closed) {
+      return res.status(closed[0]).json({ error: closed[1] });
+    }
+
+    const row = await db.suggestions.get(id, suggestionId);
+    if (!row) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    if (row.status !== 'pending') {
+      return res.status(409).json({ error: `That suggestion was already ${row.status}` });
+    }
+
+    if (status === 'approved') {
+      const draft = session.places ? JSON.parse(session.places) : await approvedPlaces(session);
+      const place = JSON.parse(row.place);
+      if (draft.length >= MAX_BALLOT) {
+        return res.status(409).json({ error: `The ballot can hold at most ${MAX_BALLOT} places` });
+      }
+      if (session.places && !draft.some(p => p.id === place.id)) {
+        const places = [...draft, { ...place, pinned: true, suggested_by: row.suggested_by }];
+        await db.sessions.update(id, { places: JSON.stringify(places) });
+        realtime.broadcast(id, 'ballot_updated', { places });
+      }
+    }
+
+    await db.suggestions.update(suggestionId, { status });
+    const suggestion = publicSuggestion({ ...row, status });
+    realtime.broadcast(id, 'suggestion_reviewed', { suggestion });
+    res.json({ suggestion });
+  }
+
+  router.post('/session/:id/suggestions/:suggestionId/approve', requireHost, (req, res) => review(req, res, 'approved'));
+  router.post('/session/:id/suggestions/:suggestionId/reject', requireHost, (req, res) => review(req, res, 'rejected'));
+
+  return router;
+}
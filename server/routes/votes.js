@@ -0,0 +1,115 @@
+import express from 'express';
+import { validateAnswers } from '../services/sessions.js';
+
+// Participants saving progress and submitting their votes
+export function voteRoutes(ctx) {
+  const { db, realtime } = ctx;
+  const { requireParticipant } = ctx.auth;
+  const { withAnswers } = ctx.sessions;
+  const { buildResults, publishResults } = ctx.results;
+
+  const router = express.Router();
+
+  // Autosave in-progress answers without marking the participant completed
+  router.post('/session/:id/progress', requireParticipant, async (req, res) => {
+    const { id } = req.params;
+    const { answers, currentIndex } = req.body;
+    const participant = req.participant;
+
+    if (req.session.status === 'lobby') {
+      return res.status(409).json({ error: 'Voting has not started yet' });
+    }
+
+    if (participant.completed) {
+      return res.status(409).json({ error: 'Answers already submitted' });
+    }
+
+    const errors = validateAnswers(req.session, answers ?? {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid answers', fields: errors });
+    }
+
+    await db.votes.upsert(id, participant.id, answers || {});
+    if (Number.isInteger(currentIndex) && currentIndex >= 0) {
+      await db.participants.update(participant.id, { progress_index: currentIndex });
+    }
+
+    res.json({ success: true });
+  });
+
+  // Saved answers and quiz position, so a participant can pick up where they left off
+  router.get('/session/:id/progress', requireParticipant, async (req, res) => {
+    const participant = req.participant;
+    const answers = await db.votes.forParticipant(participant.id);
+
+    res.json({
+      answers,
+      currentIndex: participant.progress_index || 0,
+      completed: Boolean(participant.completed)
+    });
+  });
+
+  // Submit quiz answers
+  router.post('/session/:id/submit', requireParticipant, async (req, res) => {
+    const { id } = req.params;
+    const { participantId, answers } = req.body;
+    const participant = req.participant;
+    // A participant who already submitted is revising their votes
+    const isRevision = Boolean(participant.completed);
+
+    if (req.session.status === 'lobby') {
+      return res.status(409).json({ error: 'Voting has not started yet' });
+    }
+
+    const errors = validateAnswers(req.session, answers);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid answers', fields: errors });
+    }
+
+    await db.votes.replace(id, participantId, answers);
+    await db.participants.update(participantId, { completed: 1 });
+
+    // Check if all participants completed
+    const session = await db.sessions.get(id);
+    const participants = await db.participants.list(id);
+    const allCompleted = participants.every(p => p.completed);
+    const allStarted = participants.length > 0;
+
+    if (allStarted) {
+      await db.sessions.update(id, { status: allCompleted ? 'complete' : 'collecting' });
+    }
+
+    // Notify participants
+    realtime.broadcast(id, 'answer_submitted', { participantName: participant.name });
+
+    // Generate results if:
+    // 1. All completed and session not yet complete, OR
+    // 2. Session was already complete (late joiner submitted or someone revised) - regenerate with new votes
+    const shouldGenerateResults = allCompleted && session.status !== 'complete';
+    const isUpdate = session.status === 'complete';
+
+    if (shouldGenerateResults || isUpdate) {
+      // For updates, only include completed participants
+      const completedParticipants = isUpdate
+        ? participants.filter(p => p.completed)
+        : participants;
+
+      const results = await buildResults(session, await withAnswers(id, completedParticipants));
+
+      // Mark who caused the update
+      if (isUpdate) {
+        results.updated_at = Date.now();
+        results.update_reason = isRevision
+          ? `${participant.name} changed their votes`
+          : `${participant.name} joined and voted`;
+      }
+
+      console.log(`Emitting results_ready to session:${id}`);
+      await publishResults(id, results, isUpdate);
+    }
+
+    res.json({ success: true, allCompleted });
+  });
+
+  return router;
+}
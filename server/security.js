@@ -0,0 +1,27 @@
+import crypto from 'crypto';
+
+// Sanitize input to prevent XSS
+export function sanitize(str, maxLen = 50) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .trim()
+    .slice(0, maxLen);
+}
+
+// Constant-time comparison for secret tokens
+export function tokensMatch(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Check a host token against the stored one for a session
+export function isHostOf(session, token) {
+  return Boolean(session) && tokensMatch(session.host_token, token);
+}
@@ -0,0 +1,225 @@
+import { ProviderError } from '../providers/index.js';
+import { getCategory } from './categories.js';
+
+// AI prompts for discover-mode results and the locals-mode fallback, sent
+// through the injected chat provider. Place lookups come from the places service.
+export function createAiService({ providers, places, model }) {
+  const { fetchLocalPlaces } = places;
+
+  // Helper function to call AI with timeout. fixture names the canned response
+  // replay mode falls back to when this exact prompt was never recorded.
+  async function callAI(messages, maxTokens = 1000, fixture = 'default') {
+    if (!providers.aiEnabled) {
+      console.error('SYNTHETIC_API_KEY environment variable is not set');
+      return null;
+    }
+
+    try {
+      console.log('Calling Synthetic API with model:', model);
+
+      const data = await providers.chat({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: 0.7
+      }, { timeoutMs: 60000, fixture }); // 60 second timeout
+      console.log('API response received');
+      return data.choices?.[0]?.message?.content || null;
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        console.error('AI call timed out after 60 seconds');
+      } else if (err instanceof ProviderError) {
+        console.error('API error:', err.status, typeof err.body === 'string' ? err.body : JSON.stringify(err.body));
+      } else {
+        console.error('AI call failed:', err);
+      }
+      return null;
+    }
+  }
+
+  // Generate AI suggestions for places when the group has no overlap
+  async function generateAiFallbackSuggestions(category, location, locationRadius, cuisinePreferences, participantTastes) {
+    const radiusDescription = {
+      'walkable': 'within walking distance',
+      'nearby': 'within a short drive',
+      'city': 'anywhere in the area'
+    }[locationRadius] || 'nearby';
+
+    const systemPrompt = `You are a local expert helping a group find places they might all enjoy.
+
+The group couldn't agree on the specific places they were shown, but here's what we know about their tastes:
+- Category: ${category}
+- Location: ${location}
+- Search radius: ${radiusDescription}
+- Cuisine preferences they gravitated toward: ${cuisinePreferences.join(', ') || 'varied/no clear pattern'}
+- Individual tastes: ${JSON.stringify(participantTastes)}
+
+Based on this, suggest 3-5 TYPES of places (not specific business names) that might appeal to the whole group. Focus on finding middle ground - places that offer variety or fusion, or have something for everyone.
+
+Return ONLY a JSON array like this:
+[
+  {"type": "description of type of place to search for", "reason": "why this might work for the group", "search_query": "a good search term for finding this on OSM"}
+]`;
+
+    const result = await callAI([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Suggest place types for this group in ${location}.` }
+    ], 800, 'fallback');
+
+    if (!result) return [];
+
+    try {
+      const jsonMatch = result.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        return JSON.parse(jsonMatch[0]);
+      }
+      return [];
+    } catch (err) {
+      console.error('Failed to parse AI fallback suggestions:', err);
+      return [];
+    }
+  }
+
+  // Generate group synthesis and recommendations
+  async function generateResults(category, location, locationRadius, participants) {
+    const participantData = participants.map(p => ({
+      name: p.name,
+      answers: p.answers || {}
+    }));
+
+    // Radius in meters
+    const radiusMeters = {
+      'walkable': 2000,
+      'nearby': 10000,
+      'city': 30000
+    }[locationRadius] || 8000;
+
+    // Every registry category maps to OSM places, so with a location fetch real places first
+    const isLocationBased = Boolean(location && getCategory(category));
+    let availablePlaces = [];
+
+    if (isLocationBased) {
+      console.log(`Fetching real places for ${category} in ${location}...`);
+      try {
+        availablePlaces = await fetchLocalPlaces(category, location, radiusMeters);
+        console.log(`Found ${availablePlaces.length} places`);
+      } catch (err) {
+        // Discover results still work without a place list, just less specific
+        console.error(`No places for discover results (${err.code || err.message})`);
+      }
+    }
+
+    // Category-specific instructions
+    const categoryInstructions = {
+      activities: isLocationBased && availablePlaces.length > 0
+        ? `Pick 4-5 places FROM THIS LIST that match the group's preferences. Include the exact name and a fun activity suggestion (e.g., "bowl a few rounds at Dart Bowl", "catch a show at the comedy club").`
+        : 'Suggest specific activity types like "bowling alley", "escape room", "comedy club", "karaoke bar"',
+      food: isLocationBased && availablePlaces.length > 0
+        ? `Pick 4-5 restaurants FROM THIS LIST that match the group's preferences.`
+        : 'Suggest specific cuisine types like "wood-fired pizza", "authentic tacos", "korean bbq"',
+      drinks: isLocationBased && availablePlaces.length > 0
+        ? `Pick 4-5 bars FROM THIS LIST that match the group's preferences.`
+        : 'Suggest specific bar types like "craft cocktail bar", "beer garden", "dive bar"'
+    };
+
+    // Other registry categories have no tailored copy but still pick from the list
+    const instructions = categoryInstructions[category] || (availablePlaces.length > 0
+      ? `Pick 4-5 places FROM THIS LIST that match the group's preferences.`
+      : 'Give specific recommendations');
+
+    const placesContext = availablePlaces.length > 0
+      ? `\n\nAVAILABLE PLACES (pick from these):\n${availablePlaces.slice(0, 30).map(p =>
+          `- ${p.name}${p.amenity ? ` (${p.amenity})` : ''}${p.address ? ` - ${p.address}` : ''}`
+        ).join('\n')}`
+      : '';
+
+    const systemPrompt = `You are helping a group decide what to do. Analyze their quiz answers and give recommendations.
+
+Category: ${category}
+${location ? `Location: ${location}` : ''}
+Participants and answers: ${JSON.stringify(participantData)}
+${placesContext}
+
+${instructions}
+
+Output JSON:
+{
+  "group_summary": "1-2 sentences about the group's vibe",
+  "recommendations": [
+    {"item": "specific place or thing", "reason": "why it fits", "rank": 1}
+  ],
+  "individual_writeups": [
+    {
+      "name": "Person's name",
+      "taste_summary": "Their vibe in one sentence",
+      "most_similar_to": "Another participant or null",
+      "personal_recs": ["rec 1", "rec 2"]
+    }
+  ]
+}
+
+Give 4-5 recommendations. For places, use the EXACT name from the list.`;
+
+    const result = await callAI([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `Analyze the quiz results and recommend ${category}.` }
+    ], 2000);
+
+    // Handle case where AI call failed (e.g., no API key)
+    if (!result) {
+      console.error('AI call returned null - check if SYNTHETIC_API_KEY is set');
+      return {
+        group_summary: 'Could not generate results. Please check server configuration.',
+        recommendations: [],
+        individual_writeups: participantData.map(p => ({
+          name: p.name,
+          taste_summary: 'Analysis unavailable',
+          most_similar_to: null,
+          personal_recs: []
+        }))
+      };
+    }
+
+    try {
+      const jsonMatch = result.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+
+        // Match recommendations to actual places for location-based categories
+        if (isLocationBased && parsed.recommendations && availablePlaces.length > 0) {
+          parsed.recommendations = parsed.recommendations.map(rec => {
+            // Try to find matching place by name
+            const placeName = rec.item.toLowerCase();
+            const matchedPlace = availablePlaces.find(p =>
+              placeName.includes(p.name.toLowerCase()) ||
+              p.name.toLowerCase().includes(placeName.split(' at ').pop()?.trim() || '')
+            );
+
+            if (matchedPlace) {
+              return {
+                ...rec,
+                name: matchedPlace.name,
+                address: matchedPlace.address,
+                website: matchedPlace.website,
+                tel: matchedPlace.tel,
+                hours: matchedPlace.hours,
+                lat: matchedPlace.lat,
+                lon: matchedPlace.lon,
+                verified: true
+              };
+            }
+            return rec;
+          });
+        }
+
+        return parsed;
+      }
+      return { group_summary: 'Analysis pending', recommendations: [], individual_writeups: [] };
+    } catch (err) {
+      console.error('Failed to parse results:', err);
+      return { group_summary: 'Analysis generated', recommendations: [], individual_writeups: [] };
+    }
+  }
+
+  return { callAI, generateAiFallbackSuggestions, generateResults };
+}
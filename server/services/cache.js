@@ -0,0 +1,23 @@
+// Read-through cache over a storage backend's cache table (see storage/index.js)
+export function createCache(store) {
+  const now = () => Math.floor(Date.now() / 1000);
+
+  return {
+    // Return the cached value for key, or compute, store for ttlSeconds and return it.
+    // null/undefined results and thrown errors are not cached, so failures are retried.
+    async remember(key, ttlSeconds, compute) {
+      const hit = await store.get(key, now());
+      if (hit !== null) return hit;
+
+      const value = await compute();
+      if (value !== null && value !== undefined) {
+        await store.set(key, value, now() + ttlSeconds);
+      }
+      return value;
+    },
+
+    purgeExpired() {
+      return store.purgeExpired(now());
+    }
+  };
+}
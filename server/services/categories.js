@@ -0,0 +1,90 @@
+// Place categories a session can be about. Adding one here is enough for the
+// whole flow: the Landing picker (via GET /api/categories), the Overpass
+// query in locals mode, the discover-mode question bank and scoring.
+//
+//   label        -> shown to the host when picking
+//   osmFilters   -> Overpass tag filters, each queried on nodes and ways; a place
+//                   matching any of them is a candidate
+//   questionBank -> key into QUESTION_BANKS (services/questions.js)
+//   boostBy      -> place attribute whose shared values boost a place's score
+//                   ("the group loves ramen, so rank other ramen higher");
+//                   null turns boosting off
+
+export const CATEGORIES = {
+  food: {
+    label: 'food',
+    osmFilters: ['["amenity"~"restaurant|fast_food"]["name"]'],
+    questionBank: 'food',
+    boostBy: 'cuisine'
+  },
+  drinks: {
+    label: 'drinks',
+    osmFilters: ['["amenity"~"bar|pub|biergarten|nightclub"]["name"]'],
+    questionBank: 'drinks',
+    boostBy: 'cuisine'
+  },
+  activities: {
+    label: 'activities',
+    osmFilters: ['["amenity"~"theatre|cinema|arts_centre"]["name"]'],
+    questionBank: 'activities',
+    boostBy: 'amenity'
+  },
+  coffee: {
+    label: 'coffee',
+    osmFilters: ['["amenity"="cafe"]["name"]'],
+    questionBank: 'coffee',
+    boostBy: 'cuisine'
+  },
+  dessert: {
+    label: 'dessert',
+    osmFilters: [
+      '["amenity"="ice_cream"]["name"]',
+      '["shop"~"pastry|confectionery|chocolate"]["name"]',
+      '["amenity"="cafe"]["cuisine"~"dessert|cake|ice_cream|frozen_yogurt|donut",i]["name"]'
+    ],
+    questionBank: 'dessert',
+    boostBy: 'cuisine'
+  },
+  parks: {
+    label: 'parks',
+    osmFilters: ['["leisure"~"park|garden|nature_reserve"]["name"]'],
+    questionBank: 'parks',
+    boostBy: null
+  },
+  museums: {
+    label: 'museums',
+    osmFilters: ['["tourism"~"museum|gallery"]["name"]'],
+    questionBank: 'museums',
+    boostBy: 'amenity'
+  },
+  live_music: {
+    label: 'live music',
+    osmFilters: [
+      '["amenity"="music_venue"]["name"]',
+      '["amenity"~"bar|pub|nightclub"]["live_music"="yes"]["name"]'
+    ],
+    questionBank: 'live_music',
+    boostBy: 'amenity'
+  },
+  bowling: {
+    label: 'bowling',
+    osmFilters: ['["leisure"="bowling_alley"]["name"]'],
+    questionBank: 'bowling',
+    boostBy: null
+  },
+  climbing: {
+    label: 'climbing gyms',
+    osmFilters: ['["leisure"="sports_centre"]["sport"~"climbing",i]["name"]'],
+    questionBank: 'climbing',
+    boostBy: null
+  }
+};
+
+export function getCategory(id) {
+  return Object.hasOwn(CATEGORIES, id) ? CATEGORIES[id] : null;
+}
+
+// What the client needs to offer the categories, in registry order
+export function publicCategories() {
+  return Object.entries(CATEGORIES).map(([id, { label }]) => ({ id, label }));
+}
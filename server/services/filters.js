@@ -0,0 +1,103 @@
+import { isOpenAt } from './openingHours.js';
+
+// Host-chosen locals-mode filters, stored as JSON on the session and applied to
+// the raw Overpass elements before places are picked for the ballot:
+//
+//   cuisineInclude    -> keep places serving at least one of these OSM cuisines
+//   cuisineExclude    -> drop places serving any of these
+//   diet              -> every listed diet:* tag must be yes/only/limited
+//   wheelchair        -> wheelchair=yes
+//   outdoorSeating    -> outdoor_seating=yes
+//   openAtPlannedTime -> drop places whose opening_hours say they're closed at
+//                        the session's planned_at (unknown hours are kept)
+
+export const DIET_OPTIONS = ['vegetarian', 'vegan', 'halal', 'kosher', 'gluten_free'];
+
+const FLAGS = ['wheelchair', 'outdoorSeating', 'openAtPlannedTime'];
+const MAX_CUISINES = 10;
+
+// "Thai, Ice Cream" or ['thai', 'ice cream'] -> ['thai', 'ice_cream']
+function cuisineList(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || !list.every(c => typeof c === 'string')) return null;
+  return [...new Set(
+    list.map(c => c.trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/[^a-z0-9_]/g, '')).filter(Boolean)
+  )];
+}
+
+// Validate filters from a create request. Returns { filters, errors }, with
+// filters null when none are set and errors as { field, message } like validateAnswers.
+export function parseFilters(input, { plannedAt } = {}) {
+  if (input === undefined || input === null) return { filters: null, errors: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { filters: null, errors: [{ field: 'filters', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  const filters = {};
+
+  for (const key of Object.keys(input)) {
+    if (!['cuisineInclude', 'cuisineExclude', 'diet', ...FLAGS].includes(key)) {
+      errors.push({ field: `filters.${key}`, message: 'is not a known filter' });
+    }
+  }
+
+  for (const key of ['cuisineInclude', 'cuisineExclude']) {
+    if (input[key] === undefined) continue;
+    const list = cuisineList(input[key]);
+    if (!list) {
+      errors.push({ field: `filters.${key}`, message: 'must be a list of cuisines' });
+    } else if (list.length > MAX_CUISINES) {
+      errors.push({ field: `filters.${key}`, message: `can name at most ${MAX_CUISINES} cuisines` });
+    } else if (list.length > 0) {
+      filters[key] = list;
+    }
+  }
+
+  if (input.diet !== undefined) {
+    if (!Array.isArray(input.diet) || !input.diet.every(d => DIET_OPTIONS.includes(d))) {
+      errors.push({ field: 'filters.diet', message: `must be a list of ${DIET_OPTIONS.join(', ')}` });
+    } else if (input.diet.length > 0) {
+      filters.diet = [...new Set(input.diet)];
+    }
+  }
+
+  for (const flag of FLAGS) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== 'boolean') {
+      errors.push({ field: `filters.${flag}`, message: 'must be true or false' });
+    } else if (input[flag]) {
+      filters[flag] = true;
+    }
+  }
+
+  if (filters.openAtPlannedTime && !plannedAt) {
+    errors.push({ field: 'filters.openAtPlannedTime', message: 'needs a planned time' });
+  }
+
+  return { filters: Object.keys(filters).length > 0 ? filters : null, errors };
+}
+
+const DIET_OK = ['yes', 'only', 'limited'];
+
+function dietOk(tags, diet) {
+  // Vegan places are vegetarian too
+  if (diet === 'vegetarian' && DIET_OK.includes(tags['diet:vegan'])) return true;
+  return DIET_OK.includes(tags[`diet:${diet}`]);
+}
+
+// Whether an OSM element's tags pass the session's filters
+export function matchesFilters(tags, filters, plannedAt) {
+  if (!filters) return true;
+
+  const cuisines = (tags.cuisine || '').split(';').map(c => c.trim().toLowerCase()).filter(Boolean);
+  if (filters.cuisineInclude && !cuisines.some(c => filters.cuisineInclude.includes(c))) return false;
+  if (filters.cuisineExclude && cuisines.some(c => filters.cuisineExclude.includes(c))) return false;
+
+  if (filters.diet && !filters.diet.every(d => dietOk(tags, d))) return false;
+  if (filters.wheelchair && tags.wheelchair !== 'yes') return false;
+  if (filters.outdoorSeating && tags.outdoor_seating !== 'yes') return false;
+  if (filters.openAtPlannedTime && isOpenAt(tags.opening_hours, plannedAt) === false) return false;
+
+  return true;
+}
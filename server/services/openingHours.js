@@ -0,0 +1,238 @@
+// OSM opening_hours ("Mo-Fr 11:00-22:00; Sa 12:00-23:00") parsed into rules,
+// evaluated against a planned local time and summarized in plain words.
+//
+// Supported: 24/7, month and weekday selectors (lists and ranges, wrapping),
+// comma-separated time spans (including ones past midnight and open ends like
+// 18:00+), off/closed/open/unknown, ";" rules overriding earlier ones for the
+// days they name, ", Sa 10:00-14:00" additional rules and "quoted" comments.
+// Holiday rules (PH, SH) are skipped since we have no holiday calendar.
+// Anything else (sunrise, week numbers, nth weekdays, dates, || fallbacks)
+// makes the whole value unknown rather than guessed at.
+
+const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MINUTES = 24 * 60;
+
+// "2026-10-20T19:30" -> { month: 9, day: 2, minutes: 1170 }. Planned times are
+// naive local times at the session's location, the same clock opening_hours uses.
+export function parsePlannedAt(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h, mi] = match.map(Number);
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || h > 23 || mi > 59) return null;
+  return { month: mo - 1, day: date.getUTCDay(), minutes: h * 60 + mi, date };
+}
+
+function parseMinutes(str) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(str);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 2 * DAY_MINUTES ? minutes : null;
+}
+
+// "Mo-Fr,Su" against DAYS (or "Nov-Mar" against MONTHS) -> Set of indexes, or
+// null if it isn't such a selector. Holiday parts of a weekday list are dropped.
+function parseSelector(selector, names) {
+  const indexes = new Set();
+  for (const part of selector.split(',')) {
+    if (names === DAYS && (part === 'PH' || part === 'SH')) continue;
+    const [from, to = from, ...rest] = part.split('-');
+    const start = names.indexOf(from);
+    const end = names.indexOf(to);
+    if (start === -1 || end === -1 || rest.length > 0) return null;
+    for (let i = start; ; i = (i + 1) % names.length) {
+      indexes.add(i);
+      if (i === end) break;
+    }
+  }
+  return indexes;
+}
+
+// "11:00-14:00,17:00-02:00,22:00+" -> [{ start, end, openEnd }], or null
+function parseSpans(spec) {
+  const spans = [];
+  for (const part of spec.split(',')) {
+    if (part.endsWith('+')) {
+      const start = parseMinutes(part.slice(0, -1));
+      if (start === null) return null;
+      spans.push({ start, end: DAY_MINUTES, openEnd: true });
+      continue;
+    }
+    const [from, to, ...rest] = part.split('-');
+    const start = parseMinutes(from);
+    let end = to === undefined ? null : parseMinutes(to);
+    if (start === null || end === null || rest.length > 0) return null;
+    if (end <= start) end += DAY_MINUTES;
+    spans.push({ start, end, openEnd: false });
+  }
+  return spans;
+}
+
+// One rule -> { months, days, spans, unknown, additive }, or null if unsupported.
+// months/days are null when the rule applies to all of them.
+function parseRule(text, additive) {
+  const tokens = text.replace(/"[^"]*"/g, '').trim().split(/\s+/).filter(Boolean);
+  const rule = { months: null, days: null, spans: [], unknown: false, additive };
+
+  if (tokens[0] && /^[A-Z][a-z]{2}(?:[-,][A-Z][a-z]{2})*$/.test(tokens[0]) && MONTHS.includes(tokens[0].slice(0, 3))) {
+    rule.months = parseSelector(tokens.shift(), MONTHS);
+    if (!rule.months) return null;
+  }
+
+  if (tokens[0] && /^(?:[A-Z][a-zA-Z])(?:[-,][A-Z][a-zA-Z])*$/.test(tokens[0])) {
+    const selector = tokens.shift();
+    rule.days = parseSelector(selector, DAYS);
+    if (!rule.days) return null;
+    // A rule for holidays only ("PH off") applies to no day we can place
+    if (rule.days.size === 0) return { ...rule, days: new Set() };
+  }
+
+  const spec = tokens.join('');
+  if (spec === 'off' || spec === 'closed') return rule;
+  if (spec === 'unknown') return { ...rule, unknown: true };
+  if (spec === '' || spec === 'open' || spec === '24/7') {
+    return { ...rule, spans: [{ start: 0, end: DAY_MINUTES, openEnd: false }] };
+  }
+
+  const spans = parseSpans(spec.replace(/open$/, ''));
+  return spans ? { ...rule, spans } : null;
+}
+
+// Parse a whole opening_hours value into rules, or null if any part is unsupported
+export function parseOpeningHours(value) {
+  if (!value || typeof value !== 'string' || value.includes('||')) return null;
+
+  const rules = [];
+  for (const sequence of value.split(';')) {
+    // ", Sa 10:00-14:00" starts an additional rule that adds to, not replaces, the previous one
+    const parts = sequence.split(/(?<=[\d+]|off|closed)\s*,\s*(?=[A-Z][a-zA-Z])/).map(p => p.trim());
+    for (const [i, part] of parts.entries()) {
+      if (!part) continue;
+      const rule = parseRule(part, i > 0);
+      if (!rule) return null;
+      rules.push(rule);
+    }
+  }
+  return rules.length > 0 ? rules : null;
+}
+
+// The open spans on a weekday (in a month, or ignoring month-only rules when
+// month is null), or null when the hours say "unknown" for that day
+function daySpans(rules, day, month) {
+  let spans = [];
+  let unknown = false;
+  for (const rule of rules) {
+    if (rule.days && !rule.days.has(day)) continue;
+    if (rule.months && (month === null || !rule.months.has(month))) continue;
+    if (rule.additive) {
+      spans = [...spans, ...rule.spans];
+    } else {
+      spans = rule.spans;
+      unknown = rule.unknown;
+    }
+  }
+  return unknown ? null : spans;
+}
+
+function previousDay(when) {
+  const date = new Date(when.date);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return { day: date.getUTCDay(), month: date.getUTCMonth() };
+}
+
+// The span open at the planned time, today's or one carried over from
+// yesterday past midnight; null when closed, undefined when unknown
+function openSpanAt(rules, when) {
+  const today = daySpans(rules, when.day, when.month);
+  const prev = previousDay(when);
+  const yesterday = daySpans(rules, prev.day, prev.month);
+  if (today === null) return undefined;
+
+  const current = today.find(s => when.minutes >= s.start && when.minutes < s.end);
+  if (current) return current;
+  const carried = (yesterday || []).find(s => when.minutes + DAY_MINUTES >= s.start && when.minutes + DAY_MINUTES < s.end);
+  return carried ? { ...carried, start: carried.start - DAY_MINUTES, end: carried.end - DAY_MINUTES } : null;
+}
+
+// true / false when the hours say so, null when they're missing or unsupported
+export function isOpenAt(value, plannedAt) {
+  const rules = parseOpeningHours(value);
+  const when = parsePlannedAt(plannedAt);
+  if (!rules || !when) return null;
+
+  const span = openSpanAt(rules, when);
+  return span === undefined ? null : Boolean(span);
+}
+
+// 1380 -> "11pm", 570 -> "9:30am", 720 -> "noon", 1440 -> "midnight"
+export function formatMinutes(minutes) {
+  const m = minutes % DAY_MINUTES;
+  if (m === 0) return 'midnight';
+  if (m === 12 * 60) return 'noon';
+  const h = Math.floor(m / 60);
+  const mm = m % 60;
+  return `${h % 12 || 12}${mm ? `:${String(mm).padStart(2, '0')}` : ''}${h < 12 ? 'am' : 'pm'}`;
+}
+
+function formatSpans(spans) {
+  return spans.map(s => s.openEnd ? `from ${formatMinutes(s.start)}` : `${formatMinutes(s.start)}–${formatMinutes(s.end)}`).join(', ');
+}
+
+const isAllDay = spans => spans.some(s => s.start === 0 && s.end >= DAY_MINUTES);
+
+// Plain-words week summary: "open 24/7", "closed Mondays", "daily 11am–10pm".
+// Month-scoped rules can't be placed without a date, so those hours only say
+// they're seasonal rather than leaving the season out.
+function summarize(rules) {
+  if (rules.some(rule => rule.months)) return 'seasonal hours';
+
+  const week = DAYS.map((_, day) => daySpans(rules, day, null));
+  if (week.some(spans => spans === null)) return null;
+
+  if (week.every(isAllDay)) return 'open 24/7';
+
+  // Closed days, Monday first
+  const closed = week.map((spans, day) => spans.length === 0 ? day : null)
+    .filter(day => day !== null)
+    .sort((a, b) => (a + 6) % 7 - (b + 6) % 7);
+  if (closed.length === 7) return 'closed';
+  if (closed.join() === '6,0') return 'closed weekends';
+  if (closed.length > 0) {
+    return closed.length <= 2
+      ? `closed ${closed.map(day => `${DAY_NAMES[day]}s`).join(' and ')}`
+      : `open ${7 - closed.length} days a week`;
+  }
+
+  const first = JSON.stringify(week[0]);
+  return week.every(spans => JSON.stringify(spans) === first)
+    ? `daily ${formatSpans(week[0])}`
+    : 'open daily, hours vary';
+}
+
+// { open, label } for showing a place's hours. With a planned time, open says
+// whether it's open then and label how long ("open until 11pm") or why not
+// ("closed Mondays"); without one, open is null and label sums up the week.
+// Both are null when the hours are missing or unsupported.
+export function hoursStatus(value, plannedAt) {
+  const rules = parseOpeningHours(value);
+  if (!rules) return { open: null, label: null };
+
+  const when = parsePlannedAt(plannedAt);
+  if (!when) return { open: null, label: summarize(rules) };
+
+  const span = openSpanAt(rules, when);
+  if (span === undefined) return { open: null, label: summarize(rules) };
+
+  if (span) {
+    if (isAllDay([span])) return { open: true, label: 'open 24 hours' };
+    return { open: true, label: span.openEnd ? `open from ${formatMinutes(span.start)}` : `open until ${formatMinutes(span.end)}` };
+  }
+
+  const today = daySpans(rules, when.day, when.month);
+  const later = today.find(s => s.start > when.minutes);
+  if (later) return { open: false, label: `opens at ${formatMinutes(later.start)}` };
+  if (today.length === 0) return { open: false, label: `closed ${DAY_NAMES[when.day]}s` };
+  return { open: false, label: `closed after ${formatMinutes(Math.max(...today.map(s => s.end)))}` };
+}
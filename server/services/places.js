@@ -0,0 +1,356 @@
+import { ProviderError } from '../providers/index.js';
+import { getCategory, CATEGORIES } from './categories.js';
+import { matchesFilters } from './filters.js';
+import { hoursStatus } from './openingHours.js';
+import { createRng, newSeed, shuffle } from './random.js';
+
+// Same place typed differently ("Oakland, CA" vs "oakland  ca") shares a cache entry
+export function normalizeLocation(locationStr) {
+  return locationStr.normalize('NFKC').toLowerCase().replace(/[.,;]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Search radius for a locals session's "walkable" / "nearby" / "city" setting
+export function sessionRadiusMeters(session) {
+  return { 'walkable': 1000, 'nearby': 8000, 'city': 25000 }[session.location_radius] || 5000;
+}
+
+// Most places a hand-edited locals ballot can hold
+export const MAX_BALLOT = 20;
+
+// ~110m grid cell, so nearby geocodes reuse the same Overpass results
+export function coordsBucket({ lat, lon }) {
+  return `${lat.toFixed(3)},${lon.toFixed(3)}`;
+}
+
+// Why fetchLocalPlaces came back empty-handed, so the host can be told what to do:
+// location_not_found, empty_area, no_matches (nothing passed the host's filters),
+// rate_limited, timeout or unavailable
+export class PlacesError extends Error {
+  constructor(code) {
+    super(`Place lookup failed: ${code}`);
+    this.name = 'PlacesError';
+    this.code = code;
+  }
+}
+
+// A named Overpass element as a ballot place
+function toPlace(el, plannedAt) {
+  const lat = el.lat || el.center?.lat;
+  const lon = el.lon || el.center?.lon;
+  return {
+    id: `osm_${el.id}`,
+    name: el.tags.name,
+    address: [el.tags['addr:housenumber'], el.tags['addr:street'], el.tags['addr:city']].filter(Boolean).join(' ') || null,
+    website: el.tags.website || el.tags['contact:website'] || null,
+    tel: el.tags.phone || el.tags['contact:phone'] || null,
+    hours: el.tags.opening_hours || null,
+    // Plain-words hours, and whether it's open at the planned time (see services/openingHours.js)
+    hours_status: hoursStatus(el.tags.opening_hours, plannedAt),
+    cuisine: el.tags.cuisine || null,
+    amenity: el.tags.amenity || el.tags.leisure || el.tags.tourism || el.tags.shop || null,
+    lat,
+    lon,
+    maps_url: lat && lon ? `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=18/${lat}/${lon}` : null
+  };
+}
+
+// Match a typed name literally inside an Overpass regex string
+function overpassRegexLiteral(text) {
+  return text.replace(/["\\]/g, '').replace(/[.*+?^${}()|[\]]/g, '\\\\$&');
+}
+
+// PlacesError code for a failed Photon or Overpass request
+function classifyProviderError(err) {
+  if (err instanceof ProviderError) {
+    if (err.status === 429) return 'rate_limited';
+    if (err.status === 504) return 'timeout';
+    return 'unavailable';
+  }
+  return err.name === 'AbortError' ? 'timeout' : 'unavailable';
+}
+
+// Real places from OpenStreetMap: Photon geocoding plus Overpass queries,
+// all through the injected providers. Lookups are cached (see services/cache.js)
+// for ttl.geocodeSeconds / ttl.placesSeconds.
+export function createPlacesService({ providers, cache, ttl }) {
+  // Geocode a location string to lat/lon using Photon. null means Photon
+  // found nothing; a failed request throws PlacesError like the Overpass lookups.
+  async function geocodeLocation(locationStr) {
+    try {
+      return await cache.remember(`geocode:${normalizeLocation(locationStr)}`, ttl.geocodeSeconds, async () => {
+        const data = await providers.geocode(locationStr);
+        const coords = data.features?.[0]?.geometry?.coordinates;
+        if (coords) {
+          return { lat: coords[1], lon: coords[0] };
+        }
+        return null;
+      });
+    } catch (err) {
+      if (err instanceof ProviderError) {
+        console.error('Photon error:', err.status);
+      } else {
+        console.error('Geocoding failed:', err.name === 'AbortError' ? 'timeout' : err.message);
+      }
+      throw new PlacesError(classifyProviderError(err));
+    }
+  }
+
+  // Search for real places using OpenStreetMap Overpass API
+  async function searchPlaces(query, location, radiusMeters = 5000) {
+    try {
+      // First geocode the location
+      const coords = await geocodeLocation(location);
+      if (!coords) {
+        console.error('Could not geocode location:', location);
+        return [];
+      }
+
+      console.log(`Searching Overpass for "${query}" near ${coords.lat},${coords.lon} within ${radiusMeters}m`);
+
+      // Map common food/drink queries to OSM tags
+      const cuisineKeywords = query.toLowerCase();
+      let tagFilter;
+
+      // Try to match cuisine type for better results
+      if (cuisineKeywords.includes('bar') || cuisineKeywords.includes('cocktail') || cuisineKeywords.includes('pub')) {
+        tagFilter = `["amenity"="bar"]`;
+      } else if (cuisineKeywords.includes('coffee') || cuisineKeywords.includes('cafe') || cuisineKeywords.includes('café')) {
+        tagFilter = `["amenity"="cafe"]`;
+      } else if (cuisineKeywords.includes('pizza')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"pizza",i]`;
+      } else if (cuisineKeywords.includes('taco') || cuisineKeywords.includes('mexican')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"mexican|tex-mex",i]`;
+      } else if (cuisineKeywords.includes('sushi') || cuisineKeywords.includes('japanese')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"japanese|sushi",i]`;
+      } else if (cuisineKeywords.includes('thai')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"thai",i]`;
+      } else if (cuisineKeywords.includes('indian')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"indian",i]`;
+      } else if (cuisineKeywords.includes('chinese')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"chinese",i]`;
+      } else if (cuisineKeywords.includes('bbq') || cuisineKeywords.includes('barbecue')) {
+        tagFilter = `["amenity"="restaurant"]["cuisine"~"bbq|barbecue",i]`;
+      } else if (cuisineKeywords.includes('burger')) {
+        tagFilter = `["amenity"~"restaurant|fast_food"]["cuisine"~"burger",i]`;
+      } else if (cuisineKeywords.includes('ice cream') || cuisineKeywords.includes('dessert')) {
+        tagFilter = `["amenity"~"cafe|ice_cream"]["cuisine"~"ice_cream|dessert",i]`;
+      } else if (cuisineKeywords.includes('brewery') || cuisineKeywords.includes('beer')) {
+        tagFilter = `["amenity"~"bar|pub"]["microbrewery"="yes"]`;
+        // Fallback: also search craft_brewery
+      } else {
+        // Generic restaurant search - search by name
+        tagFilter = `["amenity"~"restaurant|bar|cafe"]["name"~"${query.replace(/"/g, '')}",i]`;
+      }
+
+      const overpassQuery = `[out:json][timeout:10];(node${tagFilter}(around:${radiusMeters},${coords.lat},${coords.lon});way${tagFilter}(around:${radiusMeters},${coords.lat},${coords.lon}););out center 10;`;
+
+      const data = await cache.remember(
+        `search:${tagFilter}:${coordsBucket(coords)}:${radiusMeters}`,
+        ttl.placesSeconds,
+        async () => ({ elements: (await providers.overpass(overpassQuery, { timeoutMs: 15000 })).elements || [] })
+      );
+      const elements = data.elements;
+
+      // Convert OSM data to our place format, filtering out places without names
+      return elements
+        .filter(el => el.tags?.name)
+        .map(el => ({
+          name: el.tags.name,
+          address: [
+            el.tags['addr:housenumber'],
+            el.tags['addr:street'],
+            el.tags['addr:city']
+          ].filter(Boolean).join(' ') || null,
+          website: el.tags.website || el.tags['contact:website'] || null,
+          tel: el.tags.phone || el.tags['contact:phone'] || null,
+          hours: el.tags.opening_hours || null,
+          cuisine: el.tags.cuisine || null,
+          lat: el.lat || el.center?.lat,
+          lon: el.lon || el.center?.lon,
+          osm_id: el.id
+        }));
+
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        console.error('Overpass search timed out');
+      } else if (err instanceof ProviderError) {
+        console.error('Overpass API error:', err.status);
+      } else if (!(err instanceof PlacesError)) { // a failed geocode is logged by geocodeLocation
+        console.error('Overpass search failed:', err);
+      }
+      return [];
+    }
+  }
+
+  // Verify and enrich recommendations with real place data
+  async function verifyRecommendations(recommendations, location, radiusMeters) {
+    if (!location) {
+      return recommendations;
+    }
+
+    const verified = [];
+    const usedNames = new Set(); // avoid duplicates
+
+    for (const rec of recommendations) {
+      // Search for this recommendation on OpenStreetMap
+      const places = await searchPlaces(rec.item, location, radiusMeters);
+
+      if (places && places.length > 0) {
+        // Find first place we haven't already used
+        const place = places.find(p => !usedNames.has(p.name)) || null;
+        if (place) {
+          usedNames.add(place.name);
+          verified.push({
+            ...rec,
+            item: place.name,
+            verified: true,
+            address: place.address,
+            website: place.website,
+            tel: place.tel,
+            hours: place.hours,
+            cuisine: place.cuisine,
+            maps_url: `https://www.openstreetmap.org/?mlat=${place.lat}&mlon=${place.lon}#map=18/${place.lat}/${place.lon}`
+          });
+          continue;
+        }
+      }
+      // Couldn't verify - drop it silently instead of showing AI nonsense
+      console.log(`Dropping unverified recommendation: "${rec.item}"`);
+    }
+
+    return verified;
+  }
+
+  // Fetch real local places from OpenStreetMap for locals mode, keeping only
+  // those that pass the host's filters (see services/filters.js). The pick is
+  // a pure function of the seed: the same seed and Overpass data give the same
+  // list. pinned places (from an earlier pick) are kept first and only the
+  // remaining slots are drawn. Throws PlacesError instead of returning an empty list.
+  async function fetchLocalPlaces(category, location, radiusMeters, { filters = null, plannedAt = null, seed = newSeed(), pinned = [] } = {}) {
+    const coords = await geocodeLocation(location);
+    if (!coords) {
+      console.error('Could not geocode location for locals mode:', location);
+      throw new PlacesError('location_not_found');
+    }
+
+    console.log(`Fetching ${category} places near ${coords.lat},${coords.lon} within ${radiusMeters}m`);
+
+    // Use a single combined query per category for efficiency
+    // This avoids multiple API calls and rate limiting issues
+    const { osmFilters } = getCategory(category) || CATEGORIES.food;
+    const around = `(around:${radiusMeters},${coords.lat},${coords.lon})`;
+    const allPlaces = [];
+    const seenIds = new Set();
+    let filteredOut = 0;
+
+    // Single comprehensive query
+    const query = `[out:json][timeout:25];(${osmFilters.map(f => `node${f}${around};way${f}${around};`).join('')});out center 100;`;
+
+    try {
+      const data = await cache.remember(
+        `places:${category}:${coordsBucket(coords)}:${radiusMeters}`,
+        ttl.placesSeconds,
+        async () => {
+          console.log(`Locals mode: querying Overpass for ${category}`);
+          const response = await providers.overpass(query, { timeoutMs: 30000 });
+          // Overpass answers 200 with a remark when the query hit its own [timeout:25]
+          if (!response.elements?.length && /timed out/i.test(response.remark || '')) {
+            throw new PlacesError('timeout');
+          }
+          return { elements: response.elements || [] };
+        }
+      );
+      console.log(`Overpass returned ${data.elements.length} elements`);
+
+      for (const el of (data.elements || [])) {
+        if (!el.tags?.name || seenIds.has(el.id)) continue;
+        if (!matchesFilters(el.tags, filters, plannedAt)) {
+          filteredOut++;
+          continue;
+        }
+        seenIds.add(el.id);
+        allPlaces.push(toPlace(el, plannedAt));
+      }
+    } catch (err) {
+      if (err instanceof PlacesError) throw err;
+      if (err instanceof ProviderError) {
+        console.error('Overpass error:', err.status);
+      } else {
+        console.error('Overpass query failed:', err.name === 'AbortError' ? 'timeout' : err.message);
+      }
+      throw new PlacesError(classifyProviderError(err));
+    }
+
+    if (filters) {
+      console.log(`Locals mode: filters dropped ${filteredOut} places, kept ${allPlaces.length}`);
+    }
+    if (allPlaces.length === 0) {
+      throw new PlacesError(filteredOut > 0 ? 'no_matches' : 'empty_area');
+    }
+
+    // Deduplicate chains: only keep one location per business name. Sorting by
+    // OSM id first keeps the outcome independent of Overpass's response order.
+    allPlaces.sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+    const seenNames = new Set();
+    const dedupedPlaces = allPlaces.filter(p => {
+      const normalized = p.name.toLowerCase().replace(/[''`]/g, '').replace(/\s+/g, ' ').trim();
+      if (seenNames.has(normalized)) return false;
+      seenNames.add(normalized);
+      return true;
+    });
+
+    console.log(`Locals mode: deduped ${allPlaces.length} → ${dedupedPlaces.length} (removed ${allPlaces.length - dedupedPlaces.length} duplicate names)`);
+
+    // Prefer places with richer data (cuisine, address), then shuffle within tiers
+    const pinnedIds = new Set(pinned.map(p => p.id));
+    const candidates = dedupedPlaces.filter(p => !pinnedIds.has(p.id));
+    const richPlaces = candidates.filter(p => p.cuisine && p.address);
+    const mediumPlaces = candidates.filter(p => (p.cuisine || p.address) && !(p.cuisine && p.address));
+    const leanPlaces = candidates.filter(p => !p.cuisine && !p.address);
+
+    const rng = createRng(seed);
+    const prioritized = [
+      ...shuffle(richPlaces, rng),
+      ...shuffle(mediumPlaces, rng),
+      ...shuffle(leanPlaces, rng)
+    ];
+
+    // Every pinned place stays; only the newly drawn ones fill up to the ballot size
+    const TARGET = 10;
+    const ballotSize = Math.max(TARGET, Math.min(pinned.length + prioritized.length, 12));
+    const result = [...pinned, ...prioritized.slice(0, Math.max(0, ballotSize - pinned.length))];
+    console.log(`Locals mode: found ${allPlaces.length} places (${richPlaces.length} rich, ${mediumPlaces.length} medium, ${leanPlaces.length} lean), returning ${result.length}`);
+    return result;
+  }
+
+  // Places whose name contains the host's search ("pizza nostra") near the
+  // session's location, any kind of venue, for adding a specific spot to the
+  // locals ballot. Throws PlacesError like fetchLocalPlaces; no matches is [].
+  async function findPlacesByName(name, location, radiusMeters, { plannedAt = null } = {}) {
+    const coords = await geocodeLocation(location);
+    if (!coords) throw new PlacesError('location_not_found');
+
+    const pattern = overpassRegexLiteral(name.trim());
+    const around = `(around:${radiusMeters},${coords.lat},${coords.lon})`;
+    const filters = ['amenity', 'shop', 'leisure', 'tourism'].map(key => `["${key}"]["name"~"${pattern}",i]`);
+    const query = `[out:json][timeout:15];(${filters.map(f => `node${f}${around};way${f}${around};`).join('')});out center 20;`;
+
+    try {
+      // Keyed on the exact pattern sent, so "st. mark's" and "st marks" don't share results
+      const data = await cache.remember(
+        `lookup:${pattern}:${coordsBucket(coords)}:${radiusMeters}`,
+        ttl.placesSeconds,
+        async () => ({ elements: (await providers.overpass(query, { timeoutMs: 20000 })).elements || [] })
+      );
+      const seenIds = new Set();
+      return data.elements
+        .filter(el => el.tags?.name && !seenIds.has(el.id) && seenIds.add(el.id))
+        .map(el => toPlace(el, plannedAt));
+    } catch (err) {
+      console.error('Overpass name lookup failed:', err.name === 'AbortError' ? 'timeout' : err.message);
+      throw new PlacesError(classifyProviderError(err));
+    }
+  }
+
+  return { geocodeLocation, searchPlaces, verifyRecommendations, fetchLocalPlaces, findPlacesByName };
+}
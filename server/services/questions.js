@@ -0,0 +1,148 @@
+import { getCategory } from './categories.js';
+import { shuffle } from './random.js';
+
+// Discover-mode ballots: fixed "this or that" question pairs, one bank per
+// kind of outing. Categories pick their bank in services/categories.js.
+
+// Generate quiz questions using AI
+// Hardcoded question pairs - more reliable than AI-generated ones
+export const QUESTION_BANKS = {
+  activities: [
+    { id: 1, left: "board games", right: "video games", dimension: "analog vs digital" },
+    { id: 2, left: "escape room", right: "karaoke", dimension: "puzzle vs performance" },
+    { id: 3, left: "hiking", right: "museum", dimension: "outdoors vs indoors" },
+    { id: 4, left: "bowling", right: "mini golf", dimension: "competitive style" },
+    { id: 5, left: "trivia night", right: "comedy show", dimension: "participate vs watch" },
+    { id: 6, left: "spa day", right: "amusement park", dimension: "relaxation vs thrill" },
+    { id: 7, left: "cooking class", right: "painting class", dimension: "culinary vs artistic" },
+    { id: 8, left: "arcade", right: "laser tag", dimension: "chill vs active" },
+    { id: 9, left: "picnic in the park", right: "rooftop hangout", dimension: "nature vs urban" },
+    { id: 10, left: "live music", right: "movie night", dimension: "concert vs cinema" },
+    { id: 11, left: "axe throwing", right: "pottery class", dimension: "rowdy vs zen" },
+    { id: 12, left: "sports bar", right: "jazz club", dimension: "casual vs sophisticated" }
+  ],
+  food: [
+    { id: 1, left: "spicy", right: "mild", dimension: "heat tolerance" },
+    { id: 2, left: "sweet", right: "savory", dimension: "flavor preference" },
+    { id: 3, left: "comfort food", right: "adventurous eats", dimension: "familiar vs new" },
+    { id: 4, left: "home cooking", right: "dining out", dimension: "setting" },
+    { id: 5, left: "fast casual", right: "fine dining", dimension: "vibe" },
+    { id: 6, left: "meat lover", right: "plant-forward", dimension: "protein preference" },
+    { id: 7, left: "brunch", right: "late night eats", dimension: "time of day" },
+    { id: 8, left: "street food", right: "sit-down restaurant", dimension: "formality" },
+    { id: 9, left: "sharing plates", right: "own entree", dimension: "communal vs individual" },
+    { id: 10, left: "local spots", right: "popular chains", dimension: "discovery vs reliability" },
+    { id: 11, left: "big portions", right: "small and refined", dimension: "quantity vs quality" },
+    { id: 12, left: "ethnic cuisine", right: "american classics", dimension: "culinary culture" }
+  ],
+  drinks: [
+    { id: 1, left: "cocktails", right: "beer", dimension: "spirit preference" },
+    { id: 2, left: "wine bar", right: "dive bar", dimension: "ambiance" },
+    { id: 3, left: "rooftop", right: "speakeasy", dimension: "scene vs hidden" },
+    { id: 4, left: "craft/artisanal", right: "classic/simple", dimension: "complexity" },
+    { id: 5, left: "sweet drinks", right: "bitter/dry", dimension: "taste profile" },
+    { id: 6, left: "live music venue", right: "quiet conversation", dimension: "noise level" },
+    { id: 7, left: "sports bar", right: "lounge", dimension: "energy" },
+    { id: 8, left: "happy hour", right: "late night", dimension: "time of day" },
+    { id: 9, left: "brewery/distillery", right: "cocktail bar", dimension: "drink focus" },
+    { id: 10, left: "outdoor patio", right: "cozy interior", dimension: "setting" },
+    { id: 11, left: "trying new spots", right: "regular haunts", dimension: "discovery vs comfort" },
+    { id: 12, left: "bar snacks", right: "just drinks", dimension: "food pairing" }
+  ],
+  coffee: [
+    { id: 1, left: "espresso", right: "drip coffee", dimension: "strength" },
+    { id: 2, left: "oat milk latte", right: "black coffee", dimension: "add-ins" },
+    { id: 3, left: "third-wave roaster", right: "classic diner mug", dimension: "craft vs comfort" },
+    { id: 4, left: "laptop-friendly", right: "no-wifi chat spot", dimension: "work vs social" },
+    { id: 5, left: "pastry case", right: "just coffee", dimension: "food pairing" },
+    { id: 6, left: "iced", right: "hot", dimension: "temperature" },
+    { id: 7, left: "sunny window seat", right: "cozy corner", dimension: "setting" },
+    { id: 8, left: "morning rush", right: "slow afternoon", dimension: "time of day" },
+    { id: 9, left: "matcha or chai", right: "coffee only", dimension: "beyond coffee" },
+    { id: 10, left: "neighborhood regular", right: "new spot every time", dimension: "discovery vs comfort" }
+  ],
+  dessert: [
+    { id: 1, left: "ice cream", right: "baked goods", dimension: "cold vs warm" },
+    { id: 2, left: "chocolate", right: "fruity", dimension: "flavor preference" },
+    { id: 3, left: "classic flavors", right: "weird combos", dimension: "familiar vs new" },
+    { id: 4, left: "one big treat", right: "tasting flight", dimension: "quantity vs variety" },
+    { id: 5, left: "french patisserie", right: "american bakery", dimension: "style" },
+    { id: 6, left: "sweet", right: "barely sweet", dimension: "sugar level" },
+    { id: 7, left: "grab and walk", right: "sit down", dimension: "pace" },
+    { id: 8, left: "after dinner", right: "afternoon pick-me-up", dimension: "time of day" },
+    { id: 9, left: "vegan options", right: "full butter", dimension: "dietary" },
+    { id: 10, left: "instagrammable", right: "unfussy", dimension: "presentation" }
+  ],
+  parks: [
+    { id: 1, left: "big open lawn", right: "shady trails", dimension: "open vs wooded" },
+    { id: 2, left: "picnic blanket", right: "long walk", dimension: "stay vs roam" },
+    { id: 3, left: "botanical garden", right: "wild nature reserve", dimension: "curated vs wild" },
+    { id: 4, left: "lake or river", right: "hilltop view", dimension: "water vs heights" },
+    { id: 5, left: "frisbee and games", right: "book and a bench", dimension: "active vs lazy" },
+    { id: 6, left: "early morning", right: "golden hour", dimension: "time of day" },
+    { id: 7, left: "busy and lively", right: "quiet and empty", dimension: "crowd" },
+    { id: 8, left: "dog-friendly", right: "playground nearby", dimension: "company" },
+    { id: 9, left: "close by", right: "worth the trip", dimension: "distance" },
+    { id: 10, left: "snack kiosk", right: "bring our own", dimension: "food" }
+  ],
+  museums: [
+    { id: 1, left: "art", right: "history", dimension: "subject" },
+    { id: 2, left: "old masters", right: "contemporary", dimension: "era" },
+    { id: 3, left: "big famous collection", right: "small odd museum", dimension: "landmark vs hidden" },
+    { id: 4, left: "audio guide", right: "just wander", dimension: "guided vs free" },
+    { id: 5, left: "hands-on exhibits", right: "look, don't touch", dimension: "interactive vs classic" },
+    { id: 6, left: "one wing properly", right: "see everything", dimension: "depth vs breadth" },
+    { id: 7, left: "special exhibition", right: "permanent collection", dimension: "new vs lasting" },
+    { id: 8, left: "photography", right: "sculpture", dimension: "medium" },
+    { id: 9, left: "museum café", right: "gift shop", dimension: "best part" },
+    { id: 10, left: "a quick hour", right: "the whole afternoon", dimension: "pace" }
+  ],
+  live_music: [
+    { id: 1, left: "rock", right: "jazz", dimension: "genre" },
+    { id: 2, left: "front row", right: "back by the bar", dimension: "how close" },
+    { id: 3, left: "small club", right: "big venue", dimension: "scale" },
+    { id: 4, left: "band we know", right: "whoever's on", dimension: "familiar vs discovery" },
+    { id: 5, left: "dancing", right: "listening", dimension: "move vs watch" },
+    { id: 6, left: "acoustic", right: "loud and electric", dimension: "volume" },
+    { id: 7, left: "seated show", right: "standing crowd", dimension: "comfort vs energy" },
+    { id: 8, left: "open mic", right: "headliner", dimension: "raw vs polished" },
+    { id: 9, left: "early set", right: "late set", dimension: "time of day" },
+    { id: 10, left: "cover band", right: "original songs", dimension: "singalong vs new" }
+  ],
+  bowling: [
+    { id: 1, left: "keep score seriously", right: "just for fun", dimension: "competitive style" },
+    { id: 2, left: "bumpers up", right: "no bumpers", dimension: "difficulty" },
+    { id: 3, left: "cosmic glow lanes", right: "classic lights", dimension: "atmosphere" },
+    { id: 4, left: "teams", right: "free for all", dimension: "format" },
+    { id: 5, left: "one game", right: "best of three", dimension: "how long" },
+    { id: 6, left: "pitchers at the lane", right: "soft drinks", dimension: "drinks" },
+    { id: 7, left: "nachos", right: "pizza", dimension: "lane snacks" },
+    { id: 8, left: "retro alley", right: "modern bowling bar", dimension: "vibe" },
+    { id: 9, left: "arcade after", right: "straight home", dimension: "extras" },
+    { id: 10, left: "light ball, spin it", right: "heavy ball, straight", dimension: "technique" }
+  ],
+  climbing: [
+    { id: 1, left: "bouldering", right: "top rope", dimension: "style" },
+    { id: 2, left: "project one hard route", right: "lots of easy ones", dimension: "push vs volume" },
+    { id: 3, left: "friendly beginner gym", right: "serious training wall", dimension: "crowd" },
+    { id: 4, left: "overhangs", right: "slab", dimension: "wall angle" },
+    { id: 5, left: "rent the gear", right: "bring our own", dimension: "gear" },
+    { id: 6, left: "intro class", right: "figure it out", dimension: "instruction" },
+    { id: 7, left: "quick session", right: "climb until our arms quit", dimension: "how long" },
+    { id: 8, left: "cheer each other on", right: "climb side by side", dimension: "together vs solo" },
+    { id: 9, left: "off-peak and empty", right: "busy and buzzing", dimension: "timing" },
+    { id: 10, left: "café after", right: "sauna after", dimension: "cooldown" }
+  ]
+};
+
+export function generateQuestions(category) {
+  // Return hardcoded questions for the category, or a generic set
+  const questions = QUESTION_BANKS[getCategory(category)?.questionBank];
+  if (questions) {
+    // Shuffle and return
+    return shuffle(questions);
+  }
+
+  // Fallback for unknown categories - use activities
+  return shuffle(QUESTION_BANKS.activities);
+}
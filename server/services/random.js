@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+// Seeded randomness, so a session's place picks can be replayed exactly from
+// the seed stored on it (bug reports, tests) and re-rolled with a fresh one.
+
+// A new 32-bit seed
+export function newSeed() {
+  return crypto.randomInt(2 ** 32);
+}
+
+// mulberry32: a small, fast PRNG returning floats in [0, 1) from a 32-bit seed
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle into a new array. Unlike sort(() => Math.random() - 0.5),
+// every order is equally likely. rng defaults to Math.random.
+export function shuffle(list, rng = Math.random) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,89 @@
+import { computeLocalsResults, runoffCandidates } from './scoring.js';
+import { getCategory } from './categories.js';
+
+// Turning votes into results, and keeping results current as participants change
+export function createResultsService({ db, ai, sessions, realtime }) {
+  const { generateResults, generateAiFallbackSuggestions } = ai;
+  const { withAnswers } = sessions;
+
+  // Build results for a session from the given (completed) participants,
+  // each carrying an answers object (see withAnswers)
+  async function buildResults(session, participants) {
+    if (session.mode !== 'locals') {
+      return generateResults(session.category, session.location, session.location_radius, participants);
+    }
+
+    const places = JSON.parse(session.places || '[]');
+    // Unknown (legacy) categories get the default cuisine boost; sessions
+    // without an aggregation method get the weighted sum
+    const results = computeLocalsResults(places, participants, {
+      boostBy: getCategory(session.category)?.boostBy,
+      method: session.aggregation
+    });
+
+    // If no good options found, get AI suggestions for new place types to try
+    if (results.needs_ai_fallback && session.location) {
+      console.log('No overlap found, generating AI fallback suggestions...');
+      const participantTastes = results.individual_profiles.map(p => ({
+        name: p.name,
+        cuisines: p.topCuisines,
+        lovedCount: p.totalLoved,
+        likedCount: p.totalLiked
+      }));
+
+      const aiSuggestions = await generateAiFallbackSuggestions(
+        session.category,
+        session.location,
+        session.location_radius,
+        results.cuisine_overlap,
+        participantTastes
+      );
+
+      if (aiSuggestions.length > 0) {
+        results.ai_suggestions = aiSuggestions;
+        results.group_summary = `couldn't find common ground on the places shown. here are some fresh ideas based on your group's taste.`;
+      }
+    }
+
+    return results;
+  }
+
+  // Store and announce a session's results. Runoff rounds were run on the
+  // standings being replaced, so an update that reorders them marks the rounds
+  // stale and the host starts any new runoff from the current results.
+  async function publishResults(id, results, isUpdate) {
+    const previous = isUpdate ? await db.results.get(id) : null;
+    await db.results.save(id, results);
+    const reordered = previous &&
+      runoffCandidates(previous, Infinity).join() !== runoffCandidates(results, Infinity).join();
+    if (reordered && await db.rounds.markStale(id) > 0) {
+      realtime.broadcast(id, 'runoff_stale', {});
+    }
+    realtime.broadcast(id, 'results_ready', { results, isUpdate });
+  }
+
+  // Re-check a session after its participant list changed (merge, removal).
+  // Completed sessions get their results recomputed; collecting sessions are
+  // finalized if everyone left is now done.
+  async function settleSession(id, updateReason) {
+    const session = await db.sessions.get(id);
+    const participants = await db.participants.list(id);
+    const completed = participants.filter(p => p.completed);
+
+    if (completed.length === 0) return;
+
+    const isUpdate = session.status === 'complete';
+    const readyToFinish = session.status === 'collecting' && completed.length === participants.length;
+    if (!isUpdate && !readyToFinish) return;
+
+    const results = await buildResults(session, await withAnswers(id, completed));
+    if (isUpdate) {
+      results.updated_at = Date.now();
+      results.update_reason = updateReason;
+    }
+
+    await publishResults(id, results, isUpdate);
+  }
+
+  return { buildResults, publishResults, settleSession };
+}
@@ -0,0 +1,388 @@
+// Locals-mode scoring. Pure functions of the ballot and the votes, so they can
+// be tested without a server.
+
+// Points each vote adds to a place's score
+export const VOTE_WEIGHTS = {
+  love: 4,
+  like: 2,
+  meh: 0,
+  unknown: 0,
+  nope: -3
+};
+
+// Ways to turn the group's votes into a ranking. The host picks one when
+// creating a session; sessions without one use the weighted sum.
+export const AGGREGATION_METHODS = {
+  weighted: {
+    label: 'weighted sum',
+    description: 'love counts 4, like 2 and nope -3, and places similar to ones the group liked get a boost'
+  },
+  approval: {
+    label: 'approval',
+    description: 'every love or like is one approval, and the most-approved place wins'
+  },
+  borda: {
+    label: 'Borda count',
+    description: "everyone's votes rank the places, and a place earns a point for each place it beats on each person's list"
+  },
+  maximin: {
+    label: 'least misery',
+    description: 'places are ranked by how the least happy person feels about them'
+  },
+  veto: {
+    label: 'strict veto',
+    description: 'a single nope rules a place out, and the rest are ranked by weighted sum'
+  }
+};
+
+export const DEFAULT_AGGREGATION = 'weighted';
+
+// Why a place landed in each results section, for its explanation
+const SECTION_RULES = {
+  shared_favorites: 'everyone loved or liked it, and at least one person loved it',
+  places_to_try: 'nobody said nope, but not everyone loved or liked it',
+  best_bets: "it isn't a shared favorite or a place to try, but its votes add up to a positive score",
+  fallback_picks: 'nothing else had enough support, and it drew the fewest nopes'
+};
+
+// How each vote reads in an explanation
+const VOTE_LABELS = { love: 'love', like: 'like', meh: 'meh', unknown: "haven't tried", nope: 'nope' };
+
+// Split a multi-valued OSM tag ("thai;vietnamese") into lowercase values
+function tagValues(value) {
+  return value ? String(value).split(';').map(v => v.trim().toLowerCase()) : [];
+}
+
+// Borda points for every place: on each person's list (places ordered by their
+// vote), a place earns a point per place it beats and half a point per tie
+function bordaPoints(places, parsedParticipants) {
+  const points = Object.fromEntries(places.map(p => [p.id, 0]));
+  for (const participant of parsedParticipants) {
+    const utility = places.map(p => VOTE_WEIGHTS[participant.answers[p.id] || 'unknown'] ?? 0);
+    places.forEach((place, i) => {
+      for (const [j, other] of utility.entries()) {
+        if (j === i) continue;
+        if (utility[i] > other) points[place.id] += 1;
+        else if (utility[i] === other) points[place.id] += 0.5;
+      }
+    });
+  }
+  return points;
+}
+
+// Why the winner won, in the results' lowercase voice
+function explainWinner(method, winner, vetoed, total) {
+  if (!winner) return null;
+  if (method === 'veto' && vetoed) {
+    return `every place got at least one nope, so ${winner.name} is the pick with the fewest.`;
+  }
+  switch (method) {
+    case 'approval':
+      return `${winner.name} was approved (loved or liked) by ${winner.rankScore} of ${total}.`;
+    case 'borda':
+      return `${winner.name} earned the most Borda points (${winner.rankScore}), ranking highest across everyone's lists.`;
+    case 'maximin':
+      return `the least happy person still said "${VOTE_LABELS[winner.worstVote]}" to ${winner.name}, better than for any other place.`;
+    case 'veto':
+      return `${winner.name} had no nopes and the highest score (${winner.boostedScore}) among the places nobody vetoed.`;
+    default:
+      return `${winner.name} had the highest score (${winner.boostedScore}) from ${winner.voteBreakdown}.`;
+  }
+}
+
+// Compute locals results from overlap (no AI needed). boostBy is the category's
+// scoring hint (see services/categories.js): the place attribute whose values,
+// when the group likes them, lift other places sharing them. null disables it.
+// method is one of AGGREGATION_METHODS; unknown methods fall back to the default.
+export function computeLocalsResults(places, participants, { boostBy = 'cuisine', method = DEFAULT_AGGREGATION } = {}) {
+  const aggregation = Object.hasOwn(AGGREGATION_METHODS, method ?? '') ? method : DEFAULT_AGGREGATION;
+
+  const parsedParticipants = participants.map(p => ({
+    name: p.name,
+    answers: p.answers || {}
+  }));
+
+  const placeMap = {};
+  for (const place of places) {
+    placeMap[place.id] = place;
+  }
+
+  // Score each place based on votes
+  // 5 vote types: love, like, meh, unknown, nope
+  const placeScores = places.map(place => {
+    const votes = parsedParticipants.map(p => p.answers[place.id] || 'unknown');
+    const loveCount = votes.filter(v => v === 'love').length;
+    const likeCount = votes.filter(v => v === 'like').length;
+    const mehCount = votes.filter(v => v === 'meh').length;
+    const unknownCount = votes.filter(v => v === 'unknown').length;
+    const nopeCount = votes.filter(v => v === 'nope').length;
+
+    const positiveCount = loveCount + likeCount;
+    const negativeCount = nopeCount;
+
+    return {
+      ...place,
+      loveCount,
+      likeCount,
+      mehCount,
+      unknownCount,
+      nopeCount,
+      allLove: loveCount === parsedParticipants.length,
+      allPositive: positiveCount === parsedParticipants.length,
+      noneNope: nopeCount === 0,
+      score: votes.reduce((sum, v) => sum + (VOTE_WEIGHTS[v] ?? 0), 0),
+      // Why it scored and ranked as it did; boosts and section are filled in below
+      explanation: {
+        votes: Object.entries(VOTE_WEIGHTS)
+          .map(([vote, weight]) => {
+            const count = votes.filter(v => v === vote).length;
+            return { vote, count, weight, points: count * weight };
+          })
+          .filter(c => c.count > 0),
+        boosts: [],
+        section: null,
+        rule: null,
+        voters: parsedParticipants.map((p, i) => ({ name: p.name, vote: votes[i] }))
+      },
+      // The vote of the least happy person (for least misery)
+      worstVote: votes.reduce((worst, v) => worst === null || (VOTE_WEIGHTS[v] ?? 0) < VOTE_WEIGHTS[worst] ? v : worst, null),
+      voteBreakdown: [
+        loveCount > 0 ? `${loveCount} love` : '',
+        likeCount > 0 ? `${likeCount} like` : '',
+        mehCount > 0 ? `${mehCount} meh` : '',
+        unknownCount > 0 ? `${unknownCount} haven't tried` : '',
+        nopeCount > 0 ? `${nopeCount} nope` : ''
+      ].filter(Boolean).join(', ')
+    };
+  });
+
+  // Cuisine frequency from loved/liked places (used for the group summary)
+  const cuisineFrequency = {};
+  for (const place of placeScores) {
+    const positiveSignal = place.loveCount + place.likeCount;
+    if (positiveSignal > 0 && place.cuisine) {
+      for (const c of place.cuisine.split(';').map(c => c.trim().toLowerCase())) {
+        cuisineFrequency[c] = (cuisineFrequency[c] || 0) + positiveSignal;
+      }
+    }
+  }
+
+  // Frequency of the boost attribute's values among loved/liked places, and
+  // the places each value's frequency came from
+  const boostFrequency = {};
+  const boostSources = {};
+  if (boostBy) {
+    for (const place of placeScores) {
+      const positiveSignal = place.loveCount + place.likeCount;
+      if (positiveSignal === 0) continue;
+      for (const v of tagValues(place[boostBy])) {
+        boostFrequency[v] = (boostFrequency[v] || 0) + positiveSignal;
+        (boostSources[v] ||= []).push({ id: place.id, name: place.name, points: positiveSignal });
+      }
+    }
+  }
+
+  // Apply boosting to all scores
+  for (const place of placeScores) {
+    const boosts = boostBy
+      ? tagValues(place[boostBy])
+          .filter(v => boostFrequency[v])
+          .map(v => ({ by: boostBy, value: v, points: boostFrequency[v], sources: boostSources[v] }))
+      : [];
+    place.explanation.boosts = boosts;
+    place.boostedScore = place.score + boosts.reduce((sum, b) => sum + b.points, 0);
+  }
+
+  // Rank score under the chosen method; ties fall back to the boosted score
+  const borda = aggregation === 'borda' ? bordaPoints(places, parsedParticipants) : null;
+  for (const place of placeScores) {
+    switch (aggregation) {
+      case 'approval':
+        place.rankScore = place.loveCount + place.likeCount;
+        break;
+      case 'borda':
+        place.rankScore = borda[place.id];
+        break;
+      case 'maximin':
+        place.rankScore = place.worstVote === null ? 0 : VOTE_WEIGHTS[place.worstVote] ?? 0;
+        break;
+      default:
+        place.rankScore = place.boostedScore;
+    }
+    place.vetoed = aggregation === 'veto' && place.nopeCount > 0;
+  }
+  const byRank = (a, b) => b.rankScore - a.rankScore || b.boostedScore - a.boostedScore;
+
+  // Shared favorites: everyone loves or likes (at least some love)
+  const sharedFavorites = placeScores
+    .filter(p => p.allPositive && p.loveCount > 0)
+    .sort(byRank);
+
+  // Places to try: nobody noped, not already a shared favorite
+  const placesToTry = placeScores
+    .filter(p => p.noneNope && !p.allPositive)
+    .sort(byRank);
+
+  // Best bets: top-scoring places that aren't already in the above lists
+  // This ensures we ALWAYS have a recommendation even if nobody overlaps
+  const usedIds = new Set([
+    ...sharedFavorites.map(p => p.id),
+    ...placesToTry.map(p => p.id)
+  ]);
+  const bestBets = placeScores
+    .filter(p => !usedIds.has(p.id) && p.score > 0 && !p.vetoed)
+    .sort(byRank)
+    .slice(0, 5);
+
+  // The overall winner under the chosen method, across every section
+  const ranking = placeScores.filter(p => !p.vetoed).sort(byRank);
+
+  // If we still have nothing, just pick the least-hated places
+  const fallbackPicks = (sharedFavorites.length === 0 && placesToTry.length === 0 && bestBets.length === 0)
+    ? [...placeScores]
+        .sort((a, b) => a.nopeCount - b.nopeCount || b.loveCount - a.loveCount || b.likeCount - a.likeCount)
+        .slice(0, 3)
+    : [];
+
+  // Individual taste profiles
+  const individualProfiles = parsedParticipants.map(p => {
+    const loved = Object.entries(p.answers)
+      .filter(([_, v]) => v === 'love')
+      .map(([id]) => placeMap[id])
+      .filter(Boolean);
+    const liked = Object.entries(p.answers)
+      .filter(([_, v]) => v === 'like')
+      .map(([id]) => placeMap[id])
+      .filter(Boolean);
+    const wantToTry = Object.entries(p.answers)
+      .filter(([_, v]) => v === 'unknown')
+      .map(([id]) => placeMap[id])
+      .filter(Boolean);
+
+    const cuisineCounts = {};
+    for (const place of [...loved, ...liked]) {
+      if (place.cuisine) {
+        for (const c of place.cuisine.split(';').map(c => c.trim().toLowerCase())) {
+          cuisineCounts[c] = (cuisineCounts[c] || 0) + 1;
+        }
+      }
+    }
+
+    const topCuisines = Object.entries(cuisineCounts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 5)
+      .map(([cuisine]) => cuisine);
+
+    return {
+      name: p.name,
+      lovedPlaces: loved,
+      likedPlaces: liked,
+      wantToTryPlaces: wantToTry,
+      topCuisines,
+      totalLoved: loved.length,
+      totalLiked: liked.length,
+      totalTry: wantToTry.length
+    };
+  });
+
+  // Group cuisine summary
+  const topGroupCuisines = Object.entries(cuisineFrequency)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3)
+    .map(([c]) => c);
+
+  let groupSummary;
+  if (sharedFavorites.length > 0) {
+    groupSummary = `your group has ${sharedFavorites.length} shared favorite${sharedFavorites.length > 1 ? 's' : ''}${topGroupCuisines.length > 0 ? ` and gravitates toward ${topGroupCuisines.join(', ')}` : ''}. ${placesToTry.length} more place${placesToTry.length !== 1 ? 's' : ''} to explore together.`;
+  } else if (placesToTry.length > 0) {
+    groupSummary = `no unanimous favorites, but ${placesToTry.length} place${placesToTry.length !== 1 ? 's' : ''} interest everyone.${topGroupCuisines.length > 0 ? ` the group leans toward ${topGroupCuisines.join(', ')}.` : ''}`;
+  } else if (bestBets.length > 0) {
+    groupSummary = `different tastes, but we found some best bets based on what the group liked most.${topGroupCuisines.length > 0 ? ` popular cuisines: ${topGroupCuisines.join(', ')}.` : ''}`;
+  } else if (fallbackPicks.length > 0) {
+    groupSummary = `wildly different taste - here are the least controversial picks.${topGroupCuisines.length > 0 ? ` the group leans toward ${topGroupCuisines.join(', ')}.` : ''}`;
+  } else {
+    groupSummary = `no overlap found. try expanding your search radius or picking a different category.`;
+  }
+
+  // Flag if we need AI help (truly no good options)
+  const needsAiFallback = sharedFavorites.length === 0 &&
+                          placesToTry.length === 0 &&
+                          bestBets.length === 0 &&
+                          fallbackPicks.every(p => p.nopeCount > p.loveCount + p.likeCount);
+
+  // Record which section each place made it into, and by which rule
+  const sections = { shared_favorites: sharedFavorites, places_to_try: placesToTry, best_bets: bestBets, fallback_picks: fallbackPicks };
+  for (const [section, list] of Object.entries(sections)) {
+    for (const place of list) {
+      place.explanation.section = section;
+      place.explanation.rule = SECTION_RULES[section];
+    }
+  }
+
+  const winner = ranking[0] || fallbackPicks[0] || null;
+
+  return {
+    mode: 'locals',
+    aggregation: { method: aggregation, ...AGGREGATION_METHODS[aggregation] },
+    winner,
+    winner_explanation: explainWinner(aggregation, winner, ranking.length === 0, parsedParticipants.length),
+    group_summary: groupSummary,
+    shared_favorites: sharedFavorites.slice(0, 10),
+    places_to_try: placesToTry.slice(0, 10),
+    best_bets: bestBets,
+    fallback_picks: fallbackPicks,
+    individual_profiles: individualProfiles,
+    cuisine_overlap: topGroupCuisines,
+    needs_ai_fallback: needsAiFallback
+  };
+}
+
+// The places a runoff should settle between: the top `size` of the results,
+// the winner first, then shared favorites, places to try and best bets
+export function runoffCandidates(results, size) {
+  const ids = [];
+  const ordered = [results.winner, ...(results.shared_favorites || []), ...(results.places_to_try || []), ...(results.best_bets || [])];
+  for (const place of ordered.filter(Boolean)) {
+    if (!ids.includes(place.id)) ids.push(place.id);
+  }
+  return ids.slice(0, size);
+}
+
+// Ranked-choice (instant runoff) count. candidateIds are in seeding order
+// (best main-vote result first), which breaks ties: the later-seeded place is
+// eliminated, and the earlier-seeded one leads. rankings are each voter's
+// candidate ids, favorite first; a ballot counts for its highest-ranked place
+// still in the running. Returns { winnerId, steps, standings }, where each step
+// holds that count's totals and, unless it decided the winner, who was
+// eliminated (tie: true when they were tied for last), and standings orders
+// every candidate from winner to first eliminated.
+export function instantRunoff(candidateIds, rankings) {
+  let remaining = [...candidateIds];
+  const eliminated = [];
+  const steps = [];
+
+  for (;;) {
+    const counts = Object.fromEntries(remaining.map(id => [id, 0]));
+    let active = 0;
+    for (const ranking of rankings) {
+      const top = ranking.find(id => remaining.includes(id));
+      if (top === undefined) continue;
+      counts[top]++;
+      active++;
+    }
+
+    const leader = remaining.reduce((best, id) => counts[id] > counts[best] ? id : best);
+    if (remaining.length === 1 || counts[leader] * 2 > active) {
+      steps.push({ counts });
+      const rest = remaining.filter(id => id !== leader).sort((a, b) => counts[b] - counts[a]);
+      return { winnerId: leader, steps, standings: [leader, ...rest, ...eliminated.reverse()] };
+    }
+
+    const lowest = Math.min(...remaining.map(id => counts[id]));
+    const tied = remaining.filter(id => counts[id] === lowest);
+    const out = tied[tied.length - 1];
+    steps.push({ counts, eliminated: out, ...(tied.length > 1 && { tie: true }) });
+    eliminated.push(out);
+    remaining = remaining.filter(id => id !== out);
+  }
+}
@@ -0,0 +1,130 @@
+import { customAlphabet } from 'nanoid';
+import { VOTE_WEIGHTS } from './scoring.js';
+
+// Short, unambiguous codes participants can type on another device to rejoin
+const rejoinCodeAlphabet = customAlphabet('ABCDEFGHJKMNPQRSTUVWXYZ23456789', 6);
+
+// Strip secrets before sending a session row to clients
+export function publicSession(session) {
+  const { host_token, ...rest } = session;
+  return rest;
+}
+
+// A guest's place suggestion as clients see it
+export function publicSuggestion(row) {
+  return {
+    id: row.id,
+    participantId: row.participant_id,
+    suggestedBy: row.suggested_by,
+    place: JSON.parse(row.place),
+    status: row.status
+  };
+}
+
+// A runoff round as clients see it. Ballots stay private; clients only learn
+// who has voted.
+export function publicRound(row, ballots) {
+  return {
+    id: row.id,
+    number: row.number,
+    candidates: JSON.parse(row.candidates),
+    status: row.status,
+    tally: row.tally ? JSON.parse(row.tally) : null,
+    winnerId: row.winner_id,
+    voterIds: Object.keys(ballots)
+  };
+}
+
+// Votes a participant can cast on a place in locals mode
+export const LOCALS_VOTES = Object.keys(VOTE_WEIGHTS);
+
+// Check an answers object against the session's ballot. Returns a list of
+// { field, message } problems, empty when the answers are valid.
+export function validateAnswers(session, answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return [{ field: 'answers', message: 'must be an object' }];
+  }
+
+  const items = JSON.parse(session.questions || '[]');
+  const byId = new Map(items.map(item => [String(item.id), item]));
+  const errors = [];
+
+  for (const [key, value] of Object.entries(answers)) {
+    const field = `answers.${key}`;
+    const item = byId.get(key);
+
+    if (!item) {
+      errors.push({ field, message: session.mode === 'locals' ? 'unknown place id' : 'unknown question id' });
+    } else if (session.mode === 'locals') {
+      if (!LOCALS_VOTES.includes(value)) {
+        errors.push({ field, message: `must be one of ${LOCALS_VOTES.join(', ')}` });
+      }
+    } else if (value !== item.left && value !== item.right) {
+      errors.push({ field, message: `must be "${item.left}" or "${item.right}"` });
+    }
+  }
+
+  return errors;
+}
+
+// Session helpers that need storage
+export function createSessionService({ db, config, cache }) {
+  // Attach each participant's answers (item id -> value), loading a whole session's votes at once
+  async function withAnswers(sessionId, participants) {
+    const answersById = await db.votes.forSession(sessionId);
+    return participants.map(p => ({ ...p, answers: answersById[p.id] || {} }));
+  }
+
+  async function generateRejoinCode(sessionId) {
+    let code;
+    do {
+      code = rejoinCodeAlphabet();
+    } while (await db.participants.findByRejoinCode(sessionId, code));
+    return code;
+  }
+
+  // Places the host approved from suggestions before there was a draft to add
+  // them to, pinned so the first pick keeps them. Once there's a draft they
+  // are on it instead.
+  async function approvedPlaces(session) {
+    if (session.places) return [];
+    const suggestions = await db.suggestions.list(session.id);
+    return suggestions
+      .filter(s => s.status === 'approved')
+      .map(s => ({ ...JSON.parse(s.place), pinned: true, suggested_by: s.suggested_by }));
+  }
+
+  // Session cleanup - archive expired sessions that have results, delete the rest,
+  // purge archives past the retention window and drop expired cache entries
+  async function cleanupOldSessions() {
+    const now = Math.floor(Date.now() / 1000);
+    try {
+      const archived = await db.sessions.archiveExpired(now);
+      if (archived > 0) {
+        console.log(`Archived ${archived} expired sessions`);
+      }
+
+      // Expired sessions that never produced results have nothing worth keeping
+      const deleted = await db.sessions.deleteExpired(now);
+      if (deleted > 0) {
+        console.log(`Cleaned up ${deleted} expired sessions without results`);
+      }
+
+      if (config.archiveRetentionDays > 0) {
+        const purged = await db.sessions.purgeArchived(now - (config.archiveRetentionDays * 24 * 60 * 60));
+        if (purged > 0) {
+          console.log(`Purged ${purged} archived sessions`);
+        }
+      }
+
+      const expiredLookups = await cache.purgeExpired();
+      if (expiredLookups > 0) {
+        console.log(`Dropped ${expiredLookups} expired cache entries`);
+      }
+    } catch (err) {
+      console.error('Session cleanup failed:', err);
+    }
+  }
+
+  return { withAnswers, generateRejoinCode, approvedPlaces, cleanupOldSessions };
+}
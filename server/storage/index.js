@@ -0,0 +1,80 @@
+// Storage layer. Route handlers talk to a storage object instead of a database,
+// so the backend can be swapped with STORAGE_BACKEND (sqlite, memory, postgres).
+//
+// Every backend implements the same async interface. Rows keep the SQLite
+// column names (snake_case) and JSON columns (questions, places, results,
+// filters, suggestion place, round candidates and tally) are stored as strings, so handlers behave the same on every backend.
+//
+//   sessions.create({ id, mode, category, location, location_radius, host_name, host_token, expires_at, filters, planned_at, aggregation })
+//   sessions.get(id)                        -> session row or null
+//   sessions.update(id, fields)             -> patch of SESSION_FIELDS
+//   sessions.archiveExpired(now)            -> number archived (expired, with results)
+//   sessions.deleteExpired(now)             -> number deleted (expired, never archived)
+//   sessions.purgeArchived(before)          -> number deleted (archived before cutoff)
+//
+//   participants.create({ id, session_id, name, token, rejoin_code })
+//   participants.get(sessionId, id)         -> participant row or null
+//   participants.findByRejoinCode(sessionId, code)
+//   participants.list(sessionId)            -> participant rows, oldest first
+//   participants.update(id, fields)         -> patch of PARTICIPANT_FIELDS
+//   participants.remove(id)                 -> also removes their votes, runoff ballots and suggestions
+//   participants.merge(keepId, mergeId)     -> moves votes and ballots keep hasn't cast and all suggestions, ORs completed, removes mergeId
+//
+//   votes.replace(sessionId, participantId, answers)
+//   votes.upsert(sessionId, participantId, answers)   -> partial save, keeps other votes
+//   votes.forParticipant(participantId)     -> { [itemId]: value }
+//   votes.forSession(sessionId)             -> { [participantId]: { [itemId]: value } }
+//
+//   results.save(sessionId, results)        -> stores results and marks the session complete
+//   results.get(sessionId)                  -> parsed results or null
+//
+//   suggestions.create({ id, session_id, participant_id, suggested_by, place })
+//   suggestions.get(sessionId, id)          -> suggestion row or null
+//   suggestions.list(sessionId)             -> suggestion rows, oldest first
+//   suggestions.update(id, fields)          -> patch of SUGGESTION_FIELDS
+//
+//   rounds.create({ id, session_id, number, candidates })
+//   rounds.get(sessionId, id)               -> round row or null
+//   rounds.list(sessionId)                  -> round rows, oldest first
+//   rounds.close(id, { tally, winner_id, closed_at })  -> true if this call closed it, false if it was already closed
+//   rounds.markStale(sessionId)             -> marks every open or closed round 'stale', returns how many
+//   rounds.vote(sessionId, roundId, participantId, ranking)   -> replaces their earlier ballot
+//   rounds.ballots(roundId)                 -> { [participantId]: ranking }
+//
+//   cache.get(key, now)                     -> parsed value, or null when missing or expired
+//   cache.set(key, value, expiresAt)        -> stores value as JSON, replacing any entry
+//   cache.purgeExpired(now)                 -> number deleted
+//
+//   close()
+
+// Columns handlers may patch through update()
+export const SESSION_FIELDS = ['status', 'questions', 'places', 'results', 'locked', 'archived_at', 'filters', 'planned_at', 'seed'];
+export const PARTICIPANT_FIELDS = ['name', 'completed', 'progress_index'];
+export const SUGGESTION_FIELDS = ['status'];
+
+export function pickFields(fields, allowed) {
+  const unknown = Object.keys(fields).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update field(s): ${unknown.join(', ')}`);
+  }
+  return Object.entries(fields);
+}
+
+export async function createStorage({ backend = 'sqlite', ...options } = {}) {
+  switch (backend) {
+    case 'sqlite': {
+      const { createSqliteStorage } = await import('./sqlite.js');
+      return createSqliteStorage(options);
+    }
+    case 'memory': {
+      const { createMemoryStorage } = await import('./memory.js');
+      return createMemoryStorage();
+    }
+    case 'postgres': {
+      const { createPostgresStorage } = await import('./postgres.js');
+      return createPostgresStorage(options);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected sqlite, memory or postgres)`);
+  }
+}
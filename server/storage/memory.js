@@ -0,0 +1,336 @@
+import { SESSION_FIELDS, PARTICIPANT_FIELDS, SUGGESTION_FIELDS, pickFields } from './index.js';
+
+// In-memory backend for tests and throwaway local runs. Nothing survives a restart.
+export function createMemoryStorage() {
+  const sessionRows = new Map();
+  const participantRows = new Map();
+  // participantId -> Map(itemId -> { session_id, value, updated_at })
+  const voteRows = new Map();
+  const suggestionRows = new Map();
+  const roundRows = new Map();
+  // roundId -> Map(participantId -> ranking)
+  const ballotRows = new Map();
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const copy = (row) => (row ? { ...row } : null);
+
+  const deleteSessionsWhere = (predicate) => {
+    let count = 0;
+    for (const session of [...sessionRows.values()]) {
+      if (!predicate(session)) continue;
+      for (const p of [...participantRows.values()]) {
+        if (p.session_id === session.id) {
+          participantRows.delete(p.id);
+          voteRows.delete(p.id);
+        }
+      }
+      for (const suggestion of [...suggestionRows.values()]) {
+        if (suggestion.session_id === session.id) suggestionRows.delete(suggestion.id);
+      }
+      for (const round of [...roundRows.values()]) {
+        if (round.session_id !== session.id) continue;
+        roundRows.delete(round.id);
+        ballotRows.delete(round.id);
+      }
+      sessionRows.delete(session.id);
+      count++;
+    }
+    return count;
+  };
+
+  const sessions = {
+    async create(s) {
+      sessionRows.set(s.id, {
+        id: s.id,
+        mode: s.mode,
+        category: s.category,
+        location: s.location,
+        location_radius: s.location_radius,
+        status: 'lobby',
+        host_name: s.host_name,
+        host_token: s.host_token,
+        locked: 0,
+        questions: null,
+        places: null,
+        results: null,
+        expires_at: s.expires_at,
+        filters: s.filters ?? null,
+        planned_at: s.planned_at ?? null,
+        aggregation: s.aggregation ?? null,
+        seed: null,
+        archived_at: null,
+        created_at: now()
+      });
+    },
+
+    async get(id) {
+      return copy(sessionRows.get(id));
+    },
+
+    async update(id, fields) {
+      const row = sessionRows.get(id);
+      if (row) Object.assign(row, Object.fromEntries(pickFields(fields, SESSION_FIELDS)));
+    },
+
+    async archiveExpired(at) {
+      let count = 0;
+      for (const row of sessionRows.values()) {
+        if (row.archived_at === null && row.expires_at < at && row.results !== null) {
+          row.archived_at = at;
+          count++;
+        }
+      }
+      return count;
+    },
+
+    async deleteExpired(at) {
+      return deleteSessionsWhere(row => row.archived_at === null && row.expires_at < at);
+    },
+
+    async purgeArchived(before) {
+      return deleteSessionsWhere(row => row.archived_at !== null && row.archived_at < before);
+    }
+  };
+
+  const participants = {
+    async create(p) {
+      participantRows.set(p.id, {
+        id: p.id,
+        session_id: p.session_id,
+        name: p.name,
+        token: p.token,
+        rejoin_code: p.rejoin_code,
+        completed: 0,
+        progress_index: 0,
+        created_at: now()
+      });
+    },
+
+    async get(sessionId, id) {
+      const row = participantRows.get(id);
+      return row && row.session_id === sessionId ? copy(row) : null;
+    },
+
+    async findByRejoinCode(sessionId, code) {
+      for (const row of participantRows.values()) {
+        if (row.session_id === sessionId && row.rejoin_code === code) return copy(row);
+      }
+      return null;
+    },
+
+    // Map iteration order is insertion order, i.e. oldest first
+    async list(sessionId) {
+      return [...participantRows.values()].filter(row => row.session_id === sessionId).map(copy);
+    },
+
+    async update(id, fields) {
+      const row = participantRows.get(id);
+      if (row) Object.assign(row, Object.fromEntries(pickFields(fields, PARTICIPANT_FIELDS)));
+    },
+
+    async remove(id) {
+      voteRows.delete(id);
+      for (const ballots of ballotRows.values()) ballots.delete(id);
+      for (const suggestion of [...suggestionRows.values()]) {
+        if (suggestion.participant_id === id) suggestionRows.delete(suggestion.id);
+      }
+      participantRows.delete(id);
+    },
+
+    async merge(keepId, mergeId) {
+      const keep = participantRows.get(keepId);
+      const merge = participantRows.get(mergeId);
+      if (!keep || !merge) return;
+
+      const keepVotes = voteRows.get(keepId) || new Map();
+      for (const [itemId, vote] of voteRows.get(mergeId) || []) {
+        if (!keepVotes.has(itemId)) keepVotes.set(itemId, { ...vote });
+      }
+      voteRows.set(keepId, keepVotes);
+      keep.completed = Math.max(keep.completed, merge.completed);
+
+      for (const ballots of ballotRows.values()) {
+        if (ballots.has(mergeId) && !ballots.has(keepId)) ballots.set(keepId, ballots.get(mergeId));
+        ballots.delete(mergeId);
+      }
+      for (const suggestion of suggestionRows.values()) {
+        if (suggestion.participant_id === mergeId) suggestion.participant_id = keepId;
+      }
+      voteRows.delete(mergeId);
+      participantRows.delete(mergeId);
+    }
+  };
+
+  const votes = {
+    async replace(sessionId, participantId, answers) {
+      const rows = new Map();
+      for (const [itemId, value] of Object.entries(answers || {})) {
+        rows.set(String(itemId), { session_id: sessionId, value: String(value), updated_at: now() });
+      }
+      voteRows.set(participantId, rows);
+    },
+
+    async upsert(sessionId, participantId, answers) {
+      const rows = voteRows.get(participantId) || new Map();
+      for (const [itemId, value] of Object.entries(answers || {})) {
+        rows.set(String(itemId), { session_id: sessionId, value: String(value), updated_at: now() });
+      }
+      voteRows.set(participantId, rows);
+    },
+
+    async forParticipant(participantId) {
+      const answers = {};
+      for (const [itemId, vote] of voteRows.get(participantId) || []) {
+        answers[itemId] = vote.value;
+      }
+      return answers;
+    },
+
+    async forSession(sessionId) {
+      const answersById = {};
+      for (const [participantId, rows] of voteRows) {
+        for (const [itemId, vote] of rows) {
+          if (vote.session_id !== sessionId) continue;
+          (answersById[participantId] ||= {})[itemId] = vote.value;
+        }
+      }
+      return answersById;
+    }
+  };
+
+  const results = {
+    async save(sessionId, value) {
+      const row = sessionRows.get(sessionId);
+      if (row) {
+        row.results = JSON.stringify(value);
+        row.status = 'complete';
+      }
+    },
+
+    async get(sessionId) {
+      const row = sessionRows.get(sessionId);
+      return row?.results ? JSON.parse(row.results) : null;
+    }
+  };
+
+  const suggestions = {
+    async create(s) {
+      suggestionRows.set(s.id, {
+        id: s.id,
+        session_id: s.session_id,
+        participant_id: s.participant_id,
+        suggested_by: s.suggested_by,
+        place: s.place,
+        status: 'pending',
+        created_at: now()
+      });
+    },
+
+    async get(sessionId, id) {
+      const row = suggestionRows.get(id);
+      return row && row.session_id === sessionId ? copy(row) : null;
+    },
+
+    async list(sessionId) {
+      return [...suggestionRows.values()].filter(row => row.session_id === sessionId).map(copy);
+    },
+
+    async update(id, fields) {
+      const row = suggestionRows.get(id);
+      if (row) Object.assign(row, Object.fromEntries(pickFields(fields, SUGGESTION_FIELDS)));
+    }
+  };
+
+  const rounds = {
+    async create(r) {
+      roundRows.set(r.id, {
+        id: r.id,
+        session_id: r.session_id,
+        number: r.number,
+        candidates: r.candidates,
+        status: 'open',
+        tally: null,
+        winner_id: null,
+        created_at: now(),
+        closed_at: null
+      });
+    },
+
+    async get(sessionId, id) {
+      const row = roundRows.get(id);
+      return row && row.session_id === sessionId ? copy(row) : null;
+    },
+
+    async list(sessionId) {
+      return [...roundRows.values()]
+        .filter(row => row.session_id === sessionId)
+        .sort((a, b) => a.number - b.number)
+        .map(copy);
+    },
+
+    async close(id, { tally, winner_id, closed_at }) {
+      const row = roundRows.get(id);
+      if (!row || row.status !== 'open') return false;
+      Object.assign(row, { status: 'closed', tally, winner_id, closed_at });
+      return true;
+    },
+
+    async markStale(sessionId) {
+      let marked = 0;
+      for (const row of roundRows.values()) {
+        if (row.session_id === sessionId && row.status !== 'stale') {
+          row.status = 'stale';
+          marked++;
+        }
+      }
+      return marked;
+    },
+
+    async vote(sessionId, roundId, participantId, ranking) {
+      const ballots = ballotRows.get(roundId) || new Map();
+      ballots.set(participantId, [...ranking]);
+      ballotRows.set(roundId, ballots);
+    },
+
+    async ballots(roundId) {
+      return Object.fromEntries([...(ballotRows.get(roundId) || [])].map(([id, ranking]) => [id, [...ranking]]));
+    }
+  };
+
+  // key -> { value (JSON string), expires_at }
+  const cacheRows = new Map();
+
+  const cache = {
+    async get(key, now) {
+      const row = cacheRows.get(key);
+      return row && row.expires_at > now ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value, expiresAt) {
+      cacheRows.set(key, { value: JSON.stringify(value), expires_at: expiresAt });
+    },
+
+    async purgeExpired(now) {
+      let count = 0;
+      for (const [key, row] of cacheRows) {
+        if (row.expires_at <= now) {
+          cacheRows.delete(key);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+
+  return {
+    backend: 'memory',
+    sessions,
+    participants,
+    votes,
+    results,
+    suggestions,
+    rounds,
+    cache,
+    async close() {}
+  };
+}
@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { SESSION_FIELDS, PARTICIPANT_FIELDS, SUGGESTION_FIELDS, pickFields } from './index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+
+// Unix-second timestamps are BIGINT; read them back as numbers, not strings
+pg.types.setTypeParser(pg.types.builtins.INT8, value => Number(value));
+
+const EPOCH_NOW = 'EXTRACT(EPOCH FROM now())::BIGINT';
+
+// Apply pending NNN_name.sql files, recorded in schema_version like the SQLite runner
+async function runPostgresMigrations(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at BIGINT DEFAULT ${EPOCH_NOW}
+    )
+  `);
+
+  const { rows } = await pool.query('SELECT version FROM schema_version');
+  const applied = new Set(rows.map(r => r.version));
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+  for (const file of files) {
+    const version = parseInt(file, 10);
+    if (applied.has(version)) continue;
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    await withTransaction(pool, async (client) => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_version (version, name) VALUES ($1, $2)', [version, file.replace(/\.sql$/, '')]);
+    });
+    console.log(`Applied postgres migration ${file}`);
+  }
+}
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Postgres backend, for hosts where the local disk doesn't survive redeploys
+export async function createPostgresStorage({ databaseUrl }) {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is required for the postgres storage backend');
+  }
+
+  const pool = new pg.Pool({ connectionString: databaseUrl });
+  await runPostgresMigrations(pool);
+
+  const one = async (sql, params) => (await pool.query(sql, params)).rows[0] || null;
+
+  const updateRow = async (table, allowed, id, fields) => {
+    const entries = pickFields(fields, allowed);
+    if (entries.length === 0) return;
+    const assignments = entries.map(([key], i) => `${key} = $${i + 1}`).join(', ');
+    await pool.query(
+      `UPDATE ${table} SET ${assignments} WHERE id = $${entries.length + 1}`,
+      [...entries.map(([, value]) => value), id]
+    );
+  };
+
+  // Delete sessions matching a condition along with their participants, votes,
+  // suggestions and runoff rounds
+  const deleteSessions = (where, params) => withTransaction(pool, async (client) => {
+    const ids = `SELECT id FROM sessions WHERE ${where}`;
+    await client.query(`DELETE FROM votes WHERE session_id IN (${ids})`, params);
+    await client.query(`DELETE FROM suggestions WHERE session_id IN (${ids})`, params);
+    await client.query(`DELETE FROM round_ballots WHERE session_id IN (${ids})`, params);
+    await client.query(`DELETE FROM rounds WHERE session_id IN (${ids})`, params);
+    await client.query(`DELETE FROM participants WHERE session_id IN (${ids})`, params);
+    const { rowCount } = await client.query(`DELETE FROM sessions WHERE id IN (${ids})`, params);
+    return rowCount;
+  });
+
+  const sessions = {
+    async create(s) {
+      await pool.query(`
+        INSERT INTO sessions (id, mode, category, location, location_radius, host_name, host_token, expires_at, filters, planned_at, aggregation, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'lobby')
+      `, [s.id, s.mode, s.category, s.location, s.location_radius, s.host_name, s.host_token, s.expires_at, s.filters ?? null, s.planned_at ?? null, s.aggregation ?? null]);
+    },
+
+    async get(id) {
+      return one('SELECT * FROM sessions WHERE id = $1', [id]);
+    },
+
+    async update(id, fields) {
+      await updateRow('sessions', SESSION_FIELDS, id, fields);
+    },
+
+    async archiveExpired(now) {
+      const { rowCount } = await pool.query(`
+        UPDATE sessions SET archived_at = $1
+        WHERE archived_at IS NULL AND expires_at < $1 AND results IS NOT NULL
+      `, [now]);
+      return rowCount;
+    },
+
+    async deleteExpired(now) {
+      return deleteSessions('archived_at IS NULL AND expires_at < $1', [now]);
+    },
+
+    async purgeArchived(before) {
+      return deleteSessions('archived_at < $1', [before]);
+    }
+  };
+
+  const participants = {
+    async create(p) {
+      await pool.query(`
+        INSERT INTO participants (id, session_id, name, token, rejoin_code, completed)
+        VALUES ($1, $2, $3, $4, $5, 0)
+      `, [p.id, p.session_id, p.name, p.token, p.rejoin_code]);
+    },
+
+    async get(sessionId, id) {
+      return one('SELECT * FROM participants WHERE id = $1 AND session_id = $2', [id, sessionId]);
+    },
+
+    async findByRejoinCode(sessionId, code) {
+      return one('SELECT * FROM participants WHERE session_id = $1 AND rejoin_code = $2', [sessionId, code]);
+    },
+
+    async list(sessionId) {
+      const { rows } = await pool.query('SELECT * FROM participants WHERE session_id = $1 ORDER BY created_at, id', [sessionId]);
+      return rows;
+    },
+
+    async update(id, fields) {
+      await updateRow('participants', PARTICIPANT_FIELDS, id, fields);
+    },
+
+    async remove(id) {
+      await withTransaction(pool, async (client) => {
+        await client.query('DELETE FROM votes WHERE participant_id = $1', [id]);
+        await client.query('DELETE FROM round_ballots WHERE participant_id = $1', [id]);
+        await client.query('DELETE FROM suggestions WHERE participant_id = $1', [id]);
+        await client.query('DELETE FROM participants WHERE id = $1', [id]);
+      });
+    },
+
+    async merge(keepId, mergeId) {
+      await withTransaction(pool, async (client) => {
+        await client.query(`
+          INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+          SELECT session_id, $1, item_id, value, updated_at FROM votes WHERE participant_id = $2
+          ON CONFLICT (participant_id, item_id) DO NOTHING
+        `, [keepId, mergeId]);
+        await client.query(`
+          UPDATE participants SET completed = GREATEST(completed, (SELECT completed FROM participants WHERE id = $1))
+          WHERE id = $2
+        `, [mergeId, keepId]);
+        await client.query(`
+          INSERT INTO round_ballots (round_id, session_id, participant_id, ranking, updated_at)
+          SELECT round_id, session_id, $1, ranking, updated_at FROM round_ballots WHERE participant_id = $2
+          ON CONFLICT (round_id, participant_id) DO NOTHING
+        `, [keepId, mergeId]);
+        await client.query('DELETE FROM votes WHERE participant_id = $1', [mergeId]);
+        await client.query('DELETE FROM round_ballots WHERE participant_id = $1', [mergeId]);
+        await client.query('UPDATE suggestions SET participant_id = $1 WHERE participant_id = $2', [keepId, mergeId]);
+        await client.query('DELETE FROM participants WHERE id = $1', [mergeId]);
+      });
+    }
+  };
+
+  const votes = {
+    async replace(sessionId, participantId, answers) {
+      await withTransaction(pool, async (client) => {
+        await client.query('DELETE FROM votes WHERE participant_id = $1', [participantId]);
+        for (const [itemId, value] of Object.entries(answers || {})) {
+          await client.query(`
+            INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+            VALUES ($1, $2, $3, $4, ${EPOCH_NOW})
+          `, [sessionId, participantId, String(itemId), String(value)]);
+        }
+      });
+    },
+
+    async upsert(sessionId, participantId, answers) {
+      await withTransaction(pool, async (client) => {
+        for (const [itemId, value] of Object.entries(answers || {})) {
+          await client.query(`
+            INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+            VALUES ($1, $2, $3, $4, ${EPOCH_NOW})
+            ON CONFLICT (participant_id, item_id) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at
+          `, [sessionId, participantId, String(itemId), String(value)]);
+        }
+      });
+    },
+
+    async forParticipant(participantId) {
+      const { rows } = await pool.query('SELECT item_id, value FROM votes WHERE participant_id = $1', [participantId]);
+      return Object.fromEntries(rows.map(r => [r.item_id, r.value]));
+    },
+
+    async forSession(sessionId) {
+      const { rows } = await pool.query('SELECT participant_id, item_id, value FROM votes WHERE session_id = $1', [sessionId]);
+      const answersById = {};
+      for (const row of rows) {
+        (answersById[row.participant_id] ||= {})[row.item_id] = row.value;
+      }
+      return answersById;
+    }
+  };
+
+  const results = {
+    async save(sessionId, value) {
+      await pool.query('UPDATE sessions SET results = $1, status = $2 WHERE id = $3', [JSON.stringify(value), 'complete', sessionId]);
+    },
+
+    async get(sessionId) {
+      const row = await one('SELECT results FROM sessions WHERE id = $1', [sessionId]);
+      return row?.results ? JSON.parse(row.results) : null;
+    }
+  };
+
+  const suggestions = {
+    async create(s) {
+      await pool.query(`
+        INSERT INTO suggestions (id, session_id, participant_id, suggested_by, place, status)
+        VALUES ($1, $2, $3, $4, $5, 'pending')
+      `, [s.id, s.session_id, s.participant_id, s.suggested_by, s.place]);
+    },
+
+    async get(sessionId, id) {
+      return one('SELECT * FROM suggestions WHERE id = $1 AND session_id = $2', [id, sessionId]);
+    },
+
+    async list(sessionId) {
+      const { rows } = await pool.query('SELECT * FROM suggestions WHERE session_id = $1 ORDER BY created_at, id', [sessionId]);
+      return rows;
+    },
+
+    async update(id, fields) {
+      await updateRow('suggestions', SUGGESTION_FIELDS, id, fields);
+    }
+  };
+
+  const rounds = {
+    async create(r) {
+      await pool.query(`
+        INSERT INTO rounds (id, session_id, number, candidates, status)
+        VALUES ($1, $2, $3, $4, 'open')
+      `, [r.id, r.session_id, r.number, r.candidates]);
+    },
+
+    async get(sessionId, id) {
+      return one('SELECT * FROM rounds WHERE id = $1 AND session_id = $2', [id, sessionId]);
+    },
+
+    async list(sessionId) {
+      const { rows } = await pool.query('SELECT * FROM rounds WHERE session_id = $1 ORDER BY number', [sessionId]);
+      return rows;
+    },
+
+    async close(id, { tally, winner_id, closed_at }) {
+      const { rowCount } = await pool.query(`
+        UPDATE rounds SET status = 'closed', tally = $1, winner_id = $2, closed_at = $3
+        WHERE id = $4 AND status = 'open'
+      `, [tally, winner_id, closed_at, id]);
+      return rowCount > 0;
+    },
+
+    async markStale(sessionId) {
+      const { rowCount } = await pool.query(`UPDATE rounds SET status = 'stale' WHERE session_id = $1 AND status != 'stale'`, [sessionId]);
+      return rowCount;
+    },
+
+    async vote(sessionId, roundId, participantId, ranking) {
+      await pool.query(`
+        INSERT INTO round_ballots (round_id, session_id, participant_id, ranking, updated_at)
+        VALUES ($1, $2, $3, $4, ${EPOCH_NOW})
+        ON CONFLICT (round_id, participant_id) DO UPDATE SET ranking = EXCLUDED.ranking, updated_at = EXCLUDED.updated_at
+      `, [roundId, sessionId, participantId, JSON.stringify(ranking)]);
+    },
+
+    async ballots(roundId) {
+      const { rows } = await pool.query('SELECT participant_id, ranking FROM round_ballots WHERE round_id = $1', [roundId]);
+      return Object.fromEntries(rows.map(r => [r.participant_id, JSON.parse(r.ranking)]));
+    }
+  };
+
+  const cache = {
+    async get(key, now) {
+      const row = await one('SELECT value FROM cache WHERE key = $1 AND expires_at > $2', [key, now]);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value, expiresAt) {
+      await pool.query(`
+        INSERT INTO cache (key, value, expires_at) VALUES ($1, $2, $3)
+        ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at
+      `, [key, JSON.stringify(value), expiresAt]);
+    },
+
+    async purgeExpired(now) {
+      const { rowCount } = await pool.query('DELETE FROM cache WHERE expires_at <= $1', [now]);
+      return rowCount;
+    }
+  };
+
+  return {
+    backend: 'postgres',
+    sessions,
+    participants,
+    votes,
+    results,
+    suggestions,
+    rounds,
+    cache,
+    async close() {
+      await pool.end();
+    }
+  };
+}
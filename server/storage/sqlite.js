@@ -0,0 +1,261 @@
+import Database from 'better-sqlite3';
+import { runMigrations } from '../migrate.js';
+import { SESSION_FIELDS, PARTICIPANT_FIELDS, SUGGESTION_FIELDS, pickFields } from './index.js';
+
+// SQLite backend (better-sqlite3). The schema is owned by server/migrations.
+export async function createSqliteStorage({ sqlitePath }) {
+  const db = new Database(sqlitePath);
+  await runMigrations(db);
+
+  const updateRow = (table, allowed, id, fields) => {
+    const entries = pickFields(fields, allowed);
+    if (entries.length === 0) return;
+    db.prepare(`UPDATE ${table} SET ${entries.map(([key]) => `${key} = ?`).join(', ')} WHERE id = ?`)
+      .run(...entries.map(([, value]) => value), id);
+  };
+
+  // Delete sessions matching a subquery along with their participants, votes,
+  // suggestions and runoff rounds
+  const deleteSessions = db.transaction((where, ...params) => {
+    const ids = `SELECT id FROM sessions WHERE ${where}`;
+    db.prepare(`DELETE FROM votes WHERE session_id IN (${ids})`).run(...params);
+    db.prepare(`DELETE FROM suggestions WHERE session_id IN (${ids})`).run(...params);
+    db.prepare(`DELETE FROM round_ballots WHERE session_id IN (${ids})`).run(...params);
+    db.prepare(`DELETE FROM rounds WHERE session_id IN (${ids})`).run(...params);
+    db.prepare(`DELETE FROM participants WHERE session_id IN (${ids})`).run(...params);
+    return db.prepare(`DELETE FROM sessions WHERE id IN (${ids})`).run(...params).changes;
+  });
+
+  const sessions = {
+    async create(s) {
+      db.prepare(`
+        INSERT INTO sessions (id, mode, category, location, location_radius, host_name, host_token, expires_at, filters, planned_at, aggregation, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'lobby')
+      `).run(s.id, s.mode, s.category, s.location, s.location_radius, s.host_name, s.host_token, s.expires_at, s.filters ?? null, s.planned_at ?? null, s.aggregation ?? null);
+    },
+
+    async get(id) {
+      return db.prepare('SELECT * FROM sessions WHERE id = ?').get(id) || null;
+    },
+
+    async update(id, fields) {
+      updateRow('sessions', SESSION_FIELDS, id, fields);
+    },
+
+    async archiveExpired(now) {
+      return db.prepare(`
+        UPDATE sessions SET archived_at = ?
+        WHERE archived_at IS NULL AND expires_at < ? AND results IS NOT NULL
+      `).run(now, now).changes;
+    },
+
+    async deleteExpired(now) {
+      return deleteSessions('archived_at IS NULL AND expires_at < ?', now);
+    },
+
+    async purgeArchived(before) {
+      return deleteSessions('archived_at < ?', before);
+    }
+  };
+
+  const participants = {
+    async create(p) {
+      db.prepare(`
+        INSERT INTO participants (id, session_id, name, token, rejoin_code, completed)
+        VALUES (?, ?, ?, ?, ?, 0)
+      `).run(p.id, p.session_id, p.name, p.token, p.rejoin_code);
+    },
+
+    async get(sessionId, id) {
+      return db.prepare('SELECT * FROM participants WHERE id = ? AND session_id = ?').get(id, sessionId) || null;
+    },
+
+    async findByRejoinCode(sessionId, code) {
+      return db.prepare('SELECT * FROM participants WHERE session_id = ? AND rejoin_code = ?').get(sessionId, code) || null;
+    },
+
+    async list(sessionId) {
+      return db.prepare('SELECT * FROM participants WHERE session_id = ? ORDER BY created_at, rowid').all(sessionId);
+    },
+
+    async update(id, fields) {
+      updateRow('participants', PARTICIPANT_FIELDS, id, fields);
+    },
+
+    async remove(id) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM votes WHERE participant_id = ?').run(id);
+        db.prepare('DELETE FROM round_ballots WHERE participant_id = ?').run(id);
+        db.prepare('DELETE FROM suggestions WHERE participant_id = ?').run(id);
+        db.prepare('DELETE FROM participants WHERE id = ?').run(id);
+      })();
+    },
+
+    async merge(keepId, mergeId) {
+      db.transaction(() => {
+        db.prepare(`
+          INSERT OR IGNORE INTO votes (session_id, participant_id, item_id, value, updated_at)
+          SELECT session_id, ?, item_id, value, updated_at FROM votes WHERE participant_id = ?
+        `).run(keepId, mergeId);
+        db.prepare(`
+          UPDATE participants SET completed = MAX(completed, (SELECT completed FROM participants WHERE id = ?))
+          WHERE id = ?
+        `).run(mergeId, keepId);
+        db.prepare(`
+          INSERT OR IGNORE INTO round_ballots (round_id, session_id, participant_id, ranking, updated_at)
+          SELECT round_id, session_id, ?, ranking, updated_at FROM round_ballots WHERE participant_id = ?
+        `).run(keepId, mergeId);
+        db.prepare('DELETE FROM votes WHERE participant_id = ?').run(mergeId);
+        db.prepare('DELETE FROM round_ballots WHERE participant_id = ?').run(mergeId);
+        db.prepare('UPDATE suggestions SET participant_id = ? WHERE participant_id = ?').run(keepId, mergeId);
+        db.prepare('DELETE FROM participants WHERE id = ?').run(mergeId);
+      })();
+    }
+  };
+
+  const votes = {
+    async replace(sessionId, participantId, answers) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM votes WHERE participant_id = ?').run(participantId);
+        const insert = db.prepare(`
+          INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+          VALUES (?, ?, ?, ?, unixepoch())
+        `);
+        for (const [itemId, value] of Object.entries(answers || {})) {
+          insert.run(sessionId, participantId, String(itemId), String(value));
+        }
+      })();
+    },
+
+    async upsert(sessionId, participantId, answers) {
+      db.transaction(() => {
+        const upsert = db.prepare(`
+          INSERT INTO votes (session_id, participant_id, item_id, value, updated_at)
+          VALUES (?, ?, ?, ?, unixepoch())
+          ON CONFLICT (participant_id, item_id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `);
+        for (const [itemId, value] of Object.entries(answers || {})) {
+          upsert.run(sessionId, participantId, String(itemId), String(value));
+        }
+      })();
+    },
+
+    async forParticipant(participantId) {
+      const rows = db.prepare('SELECT item_id, value FROM votes WHERE participant_id = ?').all(participantId);
+      return Object.fromEntries(rows.map(r => [r.item_id, r.value]));
+    },
+
+    async forSession(sessionId) {
+      const answersById = {};
+      for (const row of db.prepare('SELECT participant_id, item_id, value FROM votes WHERE session_id = ?').all(sessionId)) {
+        (answersById[row.participant_id] ||= {})[row.item_id] = row.value;
+      }
+      return answersById;
+    }
+  };
+
+  const results = {
+    async save(sessionId, value) {
+      db.prepare('UPDATE sessions SET results = ?, status = ? WHERE id = ?').run(JSON.stringify(value), 'complete', sessionId);
+    },
+
+    async get(sessionId) {
+      const row = db.prepare('SELECT results FROM sessions WHERE id = ?').get(sessionId);
+      return row?.results ? JSON.parse(row.results) : null;
+    }
+  };
+
+  const suggestions = {
+    async create(s) {
+      db.prepare(`
+        INSERT INTO suggestions (id, session_id, participant_id, suggested_by, place, status)
+        VALUES (?, ?, ?, ?, ?, 'pending')
+      `).run(s.id, s.session_id, s.participant_id, s.suggested_by, s.place);
+    },
+
+    async get(sessionId, id) {
+      return db.prepare('SELECT * FROM suggestions WHERE id = ? AND session_id = ?').get(id, sessionId) || null;
+    },
+
+    async list(sessionId) {
+      return db.prepare('SELECT * FROM suggestions WHERE session_id = ? ORDER BY created_at, rowid').all(sessionId);
+    },
+
+    async update(id, fields) {
+      updateRow('suggestions', SUGGESTION_FIELDS, id, fields);
+    }
+  };
+
+  const rounds = {
+    async create(r) {
+      db.prepare(`
+        INSERT INTO rounds (id, session_id, number, candidates, status)
+        VALUES (?, ?, ?, ?, 'open')
+      `).run(r.id, r.session_id, r.number, r.candidates);
+    },
+
+    async get(sessionId, id) {
+      return db.prepare('SELECT * FROM rounds WHERE id = ? AND session_id = ?').get(id, sessionId) || null;
+    },
+
+    async list(sessionId) {
+      return db.prepare('SELECT * FROM rounds WHERE session_id = ? ORDER BY number').all(sessionId);
+    },
+
+    async close(id, { tally, winner_id, closed_at }) {
+      return db.prepare(`
+        UPDATE rounds SET status = 'closed', tally = ?, winner_id = ?, closed_at = ?
+        WHERE id = ? AND status = 'open'
+      `).run(tally, winner_id, closed_at, id).changes > 0;
+    },
+
+    async markStale(sessionId) {
+      return db.prepare(`UPDATE rounds SET status = 'stale' WHERE session_id = ? AND status != 'stale'`).run(sessionId).changes;
+    },
+
+    async vote(sessionId, roundId, participantId, ranking) {
+      db.prepare(`
+        INSERT INTO round_ballots (round_id, session_id, participant_id, ranking, updated_at)
+        VALUES (?, ?, ?, ?, unixepoch())
+        ON CONFLICT (round_id, participant_id) DO UPDATE SET ranking = excluded.ranking, updated_at = excluded.updated_at
+      `).run(roundId, sessionId, participantId, JSON.stringify(ranking));
+    },
+
+    async ballots(roundId) {
+      const rows = db.prepare('SELECT participant_id, ranking FROM round_ballots WHERE round_id = ?').all(roundId);
+      return Object.fromEntries(rows.map(r => [r.participant_id, JSON.parse(r.ranking)]));
+    }
+  };
+
+  const cache = {
+    async get(key, now) {
+      const row = db.prepare('SELECT value FROM cache WHERE key = ? AND expires_at > ?').get(key, now);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value, expiresAt) {
+      db.prepare(`
+        INSERT INTO cache (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+      `).run(key, JSON.stringify(value), expiresAt);
+    },
+
+    async purgeExpired(now) {
+      return db.prepare('DELETE FROM cache WHERE expires_at <= ?').run(now).changes;
+    }
+  };
+
+  return {
+    backend: 'sqlite',
+    sessions,
+    participants,
+    votes,
+    results,
+    suggestions,
+    rounds,
+    cache,
+    async close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,262 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, nextEvent, createSession } from './helpers.js';
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const asHost = session => ({ headers: { 'X-Host-Token': session.hostToken } });
+
+async function join(sessionId, name) {
+  const { status, body } = await server.request('POST', `/api/session/${sessionId}/join`, { body: { name } });
+  assert.equal(status, 200);
+  return body;
+}
+
+async function generate(session) {
+  const { status, body } = await server.request('POST', `/api/session/${session.id}/generate`, asHost(session));
+  assert.equal(status, 200);
+  return body.questions;
+}
+
+function submit(sessionId, participantId, token, answers) {
+  return server.request('POST', `/api/session/${sessionId}/submit`, {
+    body: { participantId, answers },
+    headers: { 'X-Participant-Token': token }
+  });
+}
+
+// Discover answers picking the left option of every question
+const leftAnswers = questions => Object.fromEntries(questions.map(q => [q.id, q.left]));
+
+test('create, join, generate, submit and read results', async () => {
+  const session = await createSession(server.request, { hostName: 'Ana' });
+  assert.ok(session.hostToken);
+  assert.equal(session.link, `/session/${session.id}`);
+
+  const guest = await join(session.id, 'Ben');
+  const socket = await server.connect(session.id);
+
+  const lobby = await server.request('GET', `/api/session/${session.id}`);
+  assert.equal(lobby.body.status, 'lobby');
+  assert.deepEqual(lobby.body.participants.map(p => p.name), ['Ana', 'Ben']);
+  assert.equal(lobby.body.host_token, undefined);
+
+  const denied = await server.request('POST', `/api/session/${session.id}/generate`);
+  assert.equal(denied.status, 403);
+
+  const questions = await generate(session);
+  assert.ok(questions.length > 0);
+
+  const first = await submit(session.id, session.participantId, session.participantToken, leftAnswers(questions));
+  assert.deepEqual(first.body, { success: true, allCompleted: false });
+
+  const ready = nextEvent(socket, 'results_ready');
+  const second = await submit(session.id, guest.id, guest.token, leftAnswers(questions));
+  assert.deepEqual(second.body, { success: true, allCompleted: true });
+
+  const { results, isUpdate } = await ready;
+  assert.equal(isUpdate, false);
+  assert.ok(results.group_summary);
+
+  const { body } = await server.request('GET', `/api/session/${session.id}/results`);
+  assert.equal(body.session.status, 'complete');
+  assert.deepEqual(body.results, results);
+  assert.deepEqual(body.participants.map(p => p.completed), [1, 1]);
+  assert.deepEqual(JSON.parse(body.participants[1].answers), leftAnswers(questions));
+});
+
+test('rejects submissions with the wrong participant token', async () => {
+  const session = await createSession(server.request);
+  await generate(session);
+
+  const { status } = await submit(session.id, session.participantId, 'not-the-token', {});
+  assert.equal(status, 403);
+});
+
+test('a late joiner updates completed results', async () => {
+  const session = await createSession(server.request);
+  const questions = await generate(session);
+  await submit(session.id, session.participantId, session.participantToken, leftAnswers(questions));
+
+  const socket = await server.connect(session.id);
+  const late = await join(session.id, 'Cleo');
+  const ready = nextEvent(socket, 'results_ready');
+  const { body } = await submit(session.id, late.id, late.token, leftAnswers(questions));
+  assert.equal(body.allCompleted, true);
+
+  const { results, isUpdate } = await ready;
+  assert.equal(isUpdate, true);
+  assert.equal(results.update_reason, 'Cleo joined and voted');
+  assert.ok(results.updated_at);
+});
+
+test('host can close voting with whoever has finished', async () => {
+  const session = await createSession(server.request);
+  const questions = await generate(session);
+  await join(session.id, 'Dev');
+
+  const tooEarly = await server.request('POST', `/api/session/${session.id}/close`, asHost(session));
+  assert.equal(tooEarly.status, 400);
+
+  await submit(session.id, session.participantId, session.participantToken, leftAnswers(questions));
+
+  const notHost = await server.request('POST', `/api/session/${session.id}/close`);
+  assert.equal(notHost.status, 403);
+
+  const socket = await server.connect(session.id);
+  const ready = nextEvent(socket, 'results_ready');
+  const closed = await server.request('POST', `/api/session/${session.id}/close`, asHost(session));
+  assert.equal(closed.status, 200);
+  assert.deepEqual((await ready).results, closed.body.results);
+
+  const { body } = await server.request('GET', `/api/session/${session.id}`);
+  assert.equal(body.status, 'complete');
+
+  const again = await server.request('POST', `/api/session/${session.id}/close`, asHost(session));
+  assert.equal(again.status, 400);
+});
+
+test('locals mode scores the fixture places', async () => {
+  const session = await createSession(server.request, { mode: 'locals', location: 'Oakland', locationRadius: 'nearby' });
+  const guest = await join(session.id, 'Eli');
+  const places = await generate(session);
+  assert.ok(places.length >= 10);
+  assert.ok(places.every(p => p.id.startsWith('osm_')));
+
+  const [favorite, ...rest] = places;
+  const answers = { [favorite.id]: 'love', ...Object.fromEntries(rest.map(p => [p.id, 'nope'])) };
+  await submit(session.id, session.participantId, session.participantToken, answers);
+  await submit(session.id, guest.id, guest.token, { ...answers, [favorite.id]: 'like' });
+
+  const { body } = await server.request('GET', `/api/session/${session.id}/results`);
+  assert.equal(body.results.mode, 'locals');
+  assert.deepEqual(body.results.shared_favorites.map(p => p.id), [favorite.id]);
+  assert.equal(body.results.needs_ai_fallback, false);
+});
+
+test('lists the category registry and rejects unknown categories', async () => {
+  const { status, body } = await server.request('GET', '/api/categories');
+  assert.equal(status, 200);
+  assert.deepEqual(body.categories.slice(0, 3).map(c => c.id), ['food', 'drinks', 'activities']);
+  assert.ok(body.categories.every(c => c.id && c.label));
+
+  const rejected = await server.request('POST', '/api/session', {
+    body: { category: 'skydiving', hostName: 'Ana' }
+  });
+  assert.equal(rejected.status, 400);
+});
+
+test('discover mode uses the question bank the category points at', async () => {
+  const session = await createSession(server.request, { category: 'coffee' });
+  const questions = await generate(session);
+  assert.ok(questions.some(q => q.left === 'espresso'));
+});
+
+test('host runs ranked-choice runoff rounds on the top results', async () => {
+  const session = await createSession(server.request, { mode: 'locals', location: 'Oakland', locationRadius: 'nearby' });
+  const guest = await join(session.id, 'Fay');
+  const places = await generate(session);
+  const [a, b, c, ...rest] = places;
+  const votes = { [a.id]: 'love', [b.id]: 'like', [c.id]: 'like', ...Object.fromEntries(rest.map(p => [p.id, 'nope'])) };
+
+  const host = { id: session.participantId, token: session.participantToken };
+  const runoff = body => server.request('POST', `/api/session/${session.id}/runoff`, { body, ...asHost(session) });
+  const rank = (voter, roundId, ranking) => server.request('POST', `/api/session/${session.id}/runoff/${roundId}/vote`, {
+    body: { participantId: voter.id, ranking },
+    headers: { 'X-Participant-Token': voter.token }
+  });
+
+  assert.equal((await runoff({})).status, 409);
+  await submit(session.id, host.id, host.token, votes);
+  await submit(session.id, guest.id, guest.token, votes);
+
+  const socket = await server.connect(session.id);
+  const started = nextEvent(socket, 'runoff_started');
+  const first = await runoff({ size: 3 });
+  assert.equal(first.status, 200);
+  const round = first.body.round;
+  assert.equal(round.number, 1);
+  assert.deepEqual(round.candidates.map(p => p.id), [a.id, b.id, c.id]);
+  assert.equal((await started).round.id, round.id);
+  assert.equal((await runoff({ size: 3 })).status, 409);
+
+  assert.equal((await rank(host, round.id, [a.id, a.id])).status, 400);
+  assert.equal((await rank(host, round.id, ['osm_nowhere'])).status, 400);
+
+  // One ballot in: the round stays open until everyone has ranked
+  assert.equal((await rank(host, round.id, [c.id, b.id])).body.round.status, 'open');
+  const closed = nextEvent(socket, 'runoff_closed');
+  const last = await rank(guest, round.id, [b.id, c.id]);
+  assert.equal(last.body.round.status, 'closed');
+  // c and b tie on first choices, a has none: a goes, then c (seeded lower) loses the tie
+  assert.equal(last.body.round.winnerId, b.id);
+  assert.deepEqual(last.body.round.tally.standings, [b.id, c.id, a.id]);
+  assert.deepEqual((await closed).round.voterIds.sort(), [host.id, guest.id].sort());
+  // Only the first close counts, so a racing last vote can't close it again
+  assert.equal(await server.db.rounds.close(round.id, { tally: '{}', winner_id: a.id, closed_at: 0 }), false);
+  assert.equal((await server.db.rounds.get(session.id, round.id)).winner_id, b.id);
+
+  // A second round is between the first round's leaders, closed early by the
+  // host. It has to be smaller, or the same tie could come up again.
+  assert.equal((await runoff({ size: 3 })).status, 400);
+  const second = (await runoff({ size: 2 })).body.round;
+  assert.equal(second.number, 2);
+  assert.deepEqual(second.candidates.map(p => p.id), [b.id, c.id]);
+  const close = () => server.request('POST', `/api/session/${session.id}/runoff/${second.id}/close`, asHost(session));
+  assert.equal((await close()).status, 400);
+  await rank(guest, second.id, [c.id]);
+  assert.equal((await close()).body.round.winnerId, c.id);
+  assert.equal((await rank(host, second.id, [b.id])).status, 409);
+
+  const { body } = await server.request('GET', `/api/session/${session.id}`);
+  assert.deepEqual(body.rounds.map(r => [r.number, r.status]), [[1, 'closed'], [2, 'closed']]);
+});
+
+test('changed results make earlier runoff rounds stale', async () => {
+  const session = await createSession(server.request, { mode: 'locals', location: 'Oakland', locationRadius: 'nearby' });
+  const guest = await join(session.id, 'Gil');
+  const places = await generate(session);
+  const [a, b, c, ...rest] = places;
+  const votes = { [a.id]: 'love', [b.id]: 'like', [c.id]: 'like', ...Object.fromEntries(rest.map(p => [p.id, 'nope'])) };
+
+  const host = { id: session.participantId, token: session.participantToken };
+  const runoff = body => server.request('POST', `/api/session/${session.id}/runoff`, { body, ...asHost(session) });
+  const rank = (voter, roundId, ranking) => server.request('POST', `/api/session/${session.id}/runoff/${roundId}/vote`, {
+    body: { participantId: voter.id, ranking },
+    headers: { 'X-Participant-Token': voter.token }
+  });
+
+  await submit(session.id, host.id, host.token, votes);
+  await submit(session.id, guest.id, guest.token, votes);
+  const first = (await runoff({ size: 3 })).body.round;
+  await rank(host, first.id, [a.id]);
+  await rank(guest, first.id, [a.id]);
+  const second = (await runoff({ size: 2 })).body.round;
+  await rank(host, second.id, [b.id]);
+
+  // A rename leaves the standings, and so the rounds, as they were
+  await server.request('POST', `/api/session/${session.id}/participants/${guest.id}/rename`, { body: { name: 'Gilly' }, ...asHost(session) });
+  const renamed = await server.request('GET', `/api/session/${session.id}`);
+  assert.deepEqual(renamed.body.rounds.map(r => r.status), ['closed', 'open']);
+
+  // The guest changes their mind: neither the winner nor the open round stand
+  const socket = await server.connect(session.id);
+  const stale = nextEvent(socket, 'runoff_stale');
+  await submit(session.id, guest.id, guest.token, { ...votes, [a.id]: 'nope', [c.id]: 'love' });
+  await stale;
+
+  const { body } = await server.request('GET', `/api/session/${session.id}`);
+  assert.deepEqual(body.rounds.map(r => [r.number, r.status]), [[1, 'stale'], [2, 'stale']]);
+  assert.equal(body.rounds[0].winnerId, a.id);
+  const late = await rank(guest, second.id, [b.id]);
+  assert.equal(late.status, 409);
+  assert.match(late.body.error, /results changed/);
+
+  // A new runoff starts over from the current results, at any size
+  const fresh = await runoff({ size: 3 });
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.body.round.number, 3);
+  assert.deepEqual(fresh.body.round.candidates.map(p => p.id).sort(), [a.id, b.id, c.id].sort());
+});
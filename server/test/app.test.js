@@ -0,0 +1,473 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderError } from '../providers/index.js';
+import { createSession, nextEvent, startServer } from './helpers.js';
+
+// Providers stub: one geocoded point and a single Overpass restaurant
+const calls = { geocode: 0, overpass: 0 };
+const stubProviders = {
+  aiEnabled: false,
+  async geocode() {
+    calls.geocode++;
+    return { features: [{ geometry: { coordinates: [13.4, 52.5] } }] };
+  },
+  async overpass() {
+    calls.overpass++;
+    return { elements: [{ id: 7, lat: 52.5, lon: 13.4, tags: { name: 'Stub Diner', amenity: 'restaurant' } }] };
+  },
+  async chat() {
+    throw new Error('chat should not be called');
+  }
+};
+
+// Open voting on a session as its host
+function generate(server, created) {
+  return server.request('POST', `/api/session/${created.id}/generate`, {
+    headers: { 'X-Host-Token': created.hostToken }
+  });
+}
+
+test('apps built with createApp use their own storage and providers', async () => {
+  const first = await startServer({ providers: stubProviders });
+  const second = await startServer({ providers: stubProviders });
+
+  try {
+    const created = await createSession(first.request, { mode: 'locals', location: 'Berlin' });
+    const { body: generated } = await generate(first, created);
+    assert.deepEqual(generated.questions.map(p => p.name), ['Stub Diner']);
+
+    // The second app has its own storage and never saw the session
+    assert.equal((await second.request('GET', `/api/session/${created.id}`)).status, 404);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test('config overrides are applied on top of the defaults', async () => {
+  const server = await startServer({ providers: stubProviders, config: { sessionDefaultTtlHours: 2 } });
+
+  try {
+    const before = Math.floor(Date.now() / 1000);
+    const created = await createSession(server.request);
+
+    assert.ok(created.expiresAt >= before + 2 * 60 * 60);
+    assert.ok(created.expiresAt < before + 3 * 60 * 60);
+  } finally {
+    await server.close();
+  }
+});
+
+test('reuses cached geocoding and places for the same neighborhood', async () => {
+  const server = await startServer({ providers: stubProviders });
+
+  try {
+    const before = { ...calls };
+    await generate(server, await createSession(server.request, { mode: 'locals', location: 'Kreuzberg, Berlin' }));
+    await generate(server, await createSession(server.request, { mode: 'locals', location: '  kreuzberg berlin ' }));
+
+    assert.equal(calls.geocode - before.geocode, 1);
+    assert.equal(calls.overpass - before.overpass, 1);
+
+    // A different radius is a different Overpass query
+    await generate(server, await createSession(server.request, { mode: 'locals', location: 'Kreuzberg, Berlin', locationRadius: 'city' }));
+
+    assert.equal(calls.geocode - before.geocode, 1);
+    assert.equal(calls.overpass - before.overpass, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('tells the host why locals mode found no places', async () => {
+  const cases = [
+    [{ geocode: async () => ({ features: [] }) }, 422, 'location_not_found'],
+    [{ geocode: async () => { throw new ProviderError('photon', 429, ''); } }, 503, 'rate_limited'],
+    [{ geocode: async () => { throw Object.assign(new Error('aborted'), { name: 'AbortError' }); } }, 504, 'timeout'],
+    [{ geocode: async () => { throw new ProviderError('photon', 502, ''); } }, 502, 'unavailable'],
+    [{ overpass: async () => ({ elements: [] }) }, 404, 'empty_area'],
+    [{ overpass: async () => { throw new ProviderError('overpass', 429, ''); } }, 503, 'rate_limited'],
+    [{ overpass: async () => ({ elements: [], remark: 'runtime error: Query timed out in "query" at line 1 after 26 seconds.' }) }, 504, 'timeout'],
+    [{ overpass: async () => { throw new ProviderError('overpass', 500, ''); } }, 502, 'unavailable']
+  ];
+
+  for (const [override, status, code] of cases) {
+    const server = await startServer({ providers: { ...stubProviders, ...override } });
+    try {
+      const created = await createSession(server.request, { mode: 'locals', location: 'Nowhere' });
+      const res = await generate(server, created);
+      assert.equal(res.status, status);
+      assert.equal(res.body.code, code);
+      assert.ok(res.body.error);
+    } finally {
+      await server.close();
+    }
+  }
+});
+
+test('queries every OSM filter of a registry category', async () => {
+  let query;
+  const server = await startServer({
+    providers: {
+      ...stubProviders,
+      async overpass(q) {
+        query = q;
+        return { elements: [{ id: 9, lat: 52.5, lon: 13.4, tags: { name: 'Stub Scoop', amenity: 'ice_cream' } }] };
+      }
+    }
+  });
+
+  try {
+    const created = await createSession(server.request, { mode: 'locals', category: 'dessert', location: 'Berlin' });
+    const { body: generated } = await generate(server, created);
+
+    assert.deepEqual(generated.questions.map(p => p.name), ['Stub Scoop']);
+    assert.match(query, /node\["amenity"="ice_cream"\]/);
+    assert.match(query, /way\["shop"~"pastry\|confectionery\|chocolate"\]/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('applies the host filters before picking places', async () => {
+  const elements = [
+    { id: 1, lat: 52.5, lon: 13.4, tags: { name: 'Thai Veg', amenity: 'restaurant', cuisine: 'thai', 'diet:vegetarian': 'yes', opening_hours: 'Mo-Su 17:00-23:00' } },
+    { id: 2, lat: 52.5, lon: 13.4, tags: { name: 'Thai Lunch', amenity: 'restaurant', cuisine: 'thai', 'diet:vegetarian': 'yes', opening_hours: 'Mo-Su 11:00-15:00' } },
+    { id: 3, lat: 52.5, lon: 13.4, tags: { name: 'Steak Co', amenity: 'restaurant', cuisine: 'steak_house' } }
+  ];
+  const server = await startServer({ providers: { ...stubProviders, overpass: async () => ({ elements }) } });
+  const create = body => createSession(server.request, { mode: 'locals', location: 'Berlin', ...body });
+
+  try {
+    const filtered = await create({
+      plannedAt: '2026-10-23T19:30',
+      filters: { cuisineInclude: ['thai'], diet: ['vegetarian'], openAtPlannedTime: true }
+    });
+
+    const { body: generated } = await generate(server, filtered);
+    assert.deepEqual(generated.questions.map(p => p.name), ['Thai Veg']);
+
+    // The lobby reads the active filters off the session
+    const { body: session } = await server.request('GET', `/api/session/${filtered.id}`);
+    assert.deepEqual(JSON.parse(session.filters).diet, ['vegetarian']);
+    assert.equal(session.planned_at, '2026-10-23T19:30');
+
+    const empty = await generate(server, await create({ filters: { cuisineInclude: ['sushi'] } }));
+    assert.equal(empty.status, 404);
+    assert.equal(empty.body.code, 'no_matches');
+
+    // createSession throws on errors, so the rejected filters go through request
+    const invalid = await server.request('POST', '/api/session', {
+      body: { mode: 'locals', category: 'food', hostName: 'Host', location: 'Berlin', filters: { diet: ['paleo'] } }
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.fields.map(f => f.field), ['filters.diet']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('host plans a time and places say whether they are open then', async () => {
+  const elements = [
+    { id: 1, lat: 52.5, lon: 13.4, tags: { name: 'Late Bar', amenity: 'bar', opening_hours: 'Tu-Su 17:00-23:00' } },
+    { id: 2, lat: 52.5, lon: 13.4, tags: { name: 'Mystery Bar', amenity: 'bar' } }
+  ];
+  const server = await startServer({ providers: { ...stubProviders, overpass: async () => ({ elements }) } });
+
+  try {
+    const created = await createSession(server.request, {
+      mode: 'locals',
+      category: 'drinks',
+      location: 'Berlin',
+      plannedAt: '2026-10-23T19:00',
+      filters: { openAtPlannedTime: true }
+    });
+    const plan = plannedAt => server.request('POST', `/api/session/${created.id}/plan`, {
+      body: { plannedAt },
+      headers: { 'X-Host-Token': created.hostToken }
+    });
+
+    // Clearing the planned time also drops the filter that needs it
+    assert.equal((await plan(null)).status, 200);
+    const { body: session } = await server.request('GET', `/api/session/${created.id}`);
+    assert.equal(session.planned_at, null);
+    assert.equal(session.filters, null);
+
+    assert.equal((await plan('monday night')).status, 400);
+    assert.equal((await plan('2026-10-19T19:00')).status, 200);
+
+    const { body: generated } = await server.request('POST', `/api/session/${created.id}/generate`, {
+      headers: { 'X-Host-Token': created.hostToken }
+    });
+    const byName = Object.fromEntries(generated.questions.map(p => [p.name, p.hours_status]));
+    assert.deepEqual(byName['Late Bar'], { open: false, label: 'closed Mondays' });
+    assert.deepEqual(byName['Mystery Bar'], { open: null, label: null });
+
+    // The ballot is built, so the time is locked in
+    assert.equal((await plan(null)).status, 409);
+  } finally {
+    await server.close();
+  }
+});
+
+test('host drafts a reproducible ballot, pins places and re-rolls the rest', async () => {
+  const elements = Array.from({ length: 30 }, (_, i) => ({
+    id: 100 + i,
+    lat: 52.5,
+    lon: 13.4,
+    tags: { name: `Spot ${i}`, amenity: 'restaurant' }
+  }));
+  const server = await startServer({ providers: { ...stubProviders, overpass: async () => ({ elements: [...elements].reverse() }) } });
+
+  try {
+    const created = await createSession(server.request, { mode: 'locals', location: 'Berlin' });
+    const asHost = { headers: { 'X-Host-Token': created.hostToken } };
+    const draft = body => server.request('POST', `/api/session/${created.id}/draft`, { body, ...asHost });
+    const ids = places => places.map(p => p.id);
+
+    const first = await draft({ seed: 1234 });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.seed, 1234);
+    assert.equal(first.body.places.length, 12);
+
+    // Same seed, same pick; a new seed re-rolls
+    assert.deepEqual(ids((await draft({ seed: 1234 })).body.places), ids(first.body.places));
+    const rerolled = await draft({});
+    assert.notEqual(rerolled.body.seed, 1234);
+    assert.notDeepEqual(ids(rerolled.body.places), ids(first.body.places));
+
+    const keep = ids(rerolled.body.places).slice(0, 2);
+    const pinned = await draft({ pinned: keep });
+    assert.deepEqual(ids(pinned.body.places).slice(0, 2), keep);
+    assert.ok(pinned.body.places.slice(0, 2).every(p => p.pinned));
+    assert.equal(new Set(ids(pinned.body.places)).size, 12);
+
+    assert.equal((await draft({ pinned: ['osm_999999'] })).status, 400);
+
+    // Voting opens on the reviewed draft, and the seed stays on the session
+    const generated = await server.request('POST', `/api/session/${created.id}/generate`, asHost);
+    assert.deepEqual(ids(generated.body.questions), ids(pinned.body.places));
+    assert.ok(generated.body.questions.every(p => p.pinned === undefined));
+    const { body: session } = await server.request('GET', `/api/session/${created.id}`);
+    assert.equal(session.seed, pinned.body.seed);
+
+    assert.equal((await draft({})).status, 409);
+  } finally {
+    await server.close();
+  }
+});
+
+test('host edits the draft ballot and everyone sees the final list before voting', async () => {
+  const queries = [];
+  const server = await startServer({
+    providers: {
+      ...stubProviders,
+      async overpass(query) {
+        queries.push(query);
+        return {
+          elements: [
+            { id: 7, lat: 52.5, lon: 13.4, tags: { name: 'Stub Diner', amenity: 'restaurant' } },
+            { id: 8, lat: 52.5, lon: 13.4, tags: { name: 'Pizza (Nostra)', amenity: 'restaurant', cuisine: 'pizza' } }
+          ]
+        };
+      }
+    }
+  });
+
+  try {
+    const created = await createSession(server.request, { mode: 'locals', location: 'Berlin' });
+    const host = (method, path, body) => server.request(method, `/api/session/${created.id}${path}`, {
+      body,
+      headers: { 'X-Host-Token': created.hostToken }
+    });
+    const socket = await server.connect(created.id);
+
+    const drafted = nextEvent(socket, 'ballot_updated');
+    await host('POST', '/draft', {});
+    assert.equal((await drafted).places.length, 2);
+
+    assert.equal((await host('DELETE', '/draft/places/osm_8')).body.places.length, 1);
+    assert.equal((await host('DELETE', '/draft/places/osm_8')).status, 404);
+
+    // Names are matched literally, so regex characters in them are escaped
+    const search = await host('GET', `/draft/search?q=${encodeURIComponent('Pizza (Nostra)')}`);
+    assert.equal(search.status, 200);
+    assert.ok(queries.at(-1).includes('Pizza \\\\(Nostra\\\\)'));
+    assert.equal((await host('GET', '/draft/search?q=x')).status, 400);
+    assert.equal((await server.request('GET', `/api/session/${created.id}/draft/search?q=pizza`)).status, 403);
+
+    const added = await host('POST', '/draft/places', { query: 'Pizza (Nostra)', id: 'osm_8' });
+    assert.deepEqual(added.body.places.map(p => p.id), ['osm_7', 'osm_8']);
+    assert.equal((await host('POST', '/draft/places', { query: 'Pizza (Nostra)', id: 'osm_8' })).status, 409);
+    assert.equal((await host('POST', '/draft/places', { query: 'Pizza (Nostra)', id: 'osm_99' })).status, 404);
+
+    const custom = await host('POST', '/draft/places', { name: "  Grandma's kitchen ", address: `Hauptstr. 1 & ${'x'.repeat(200)}` });
+    const homemade = custom.body.places.at(-1);
+    assert.ok(homemade.id.startsWith('custom_'));
+    assert.equal(homemade.custom, true);
+    assert.equal(homemade.name, "Grandma's kitchen");
+    assert.equal(homemade.address.length, 120);
+    assert.ok(homemade.address.startsWith('Hauptstr. 1 & x'));
+    assert.equal((await host('POST', '/draft/places', { name: '  ' })).status, 400);
+
+    // The final list goes out before voting opens
+    const final = nextEvent(socket, 'ballot_updated');
+    const generated = await host('POST', '/generate');
+    assert.deepEqual((await final).places.map(p => p.id), ['osm_7', 'osm_8', homemade.id]);
+    assert.deepEqual(generated.body.questions.map(p => p.id), ['osm_7', 'osm_8', homemade.id]);
+
+    assert.equal((await host('POST', '/draft/places', { name: 'Late idea' })).status, 409);
+    assert.equal((await host('DELETE', '/draft/places/osm_7')).status, 409);
+  } finally {
+    await server.close();
+  }
+});
+
+test('voting cannot open on an emptied draft', async () => {
+  const server = await startServer({ providers: stubProviders });
+  try {
+    const created = await createSession(server.request, { mode: 'locals', location: 'Berlin' });
+    const host = (method, path) => server.request(method, `/api/session/${created.id}${path}`, {
+      headers: { 'X-Host-Token': created.hostToken }
+    });
+
+    await host('POST', '/draft');
+    await host('DELETE', '/draft/places/osm_7');
+    const res = await host('POST', '/generate');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Add at least one place to the ballot');
+  } finally {
+    await server.close();
+  }
+});
+
+test('results use the aggregation method the host picked', async () => {
+  const server = await startServer({ providers: stubProviders });
+  try {
+    const invalid = await server.request('POST', '/api/session', {
+      body: { mode: 'locals', category: 'food', hostName: 'Ana', location: 'Berlin', aggregation: 'dictator' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /aggregation must be one of weighted, approval, borda, maximin, veto/);
+
+    const created = await createSession(server.request, { mode: 'locals', location: 'Berlin', aggregation: 'veto' });
+    const { body: session } = await server.request('GET', `/api/session/${created.id}`);
+    assert.equal(session.aggregation, 'veto');
+
+    await server.request('POST', `/api/session/${created.id}/generate`, { headers: { 'X-Host-Token': created.hostToken } });
+    await server.request('POST', `/api/session/${created.id}/submit`, {
+      body: { participantId: created.participantId, answers: { osm_7: 'nope' } },
+      headers: { 'X-Participant-Token': created.participantToken }
+    });
+
+    const { body: { results } } = await server.request('GET', `/api/session/${created.id}/results`);
+    assert.equal(results.aggregation.method, 'veto');
+    assert.equal(results.aggregation.label, 'strict veto');
+    assert.equal(results.winner.name, 'Stub Diner');
+    assert.match(results.winner_explanation, /every place got at least one nope/);
+  } finally {
+    await server.close();
+  }
+});
+
+// Overpass stub for the suggestion tests: name lookups find one place each,
+// everything else is the draw for the ballot
+const suggestionProviders = {
+  ...stubProviders,
+  async overpass(query) {
+    if (query.includes('Ramen')) {
+      return { elements: [{ id: 21, lat: 52.5, lon: 13.4, tags: { name: 'Ramen Ya', amenity: 'restaurant', cuisine: 'ramen' } }] };
+    }
+    if (query.includes('Taco')) {
+      return { elements: [{ id: 22, lat: 52.5, lon: 13.4, tags: { name: 'Taco Loco', amenity: 'restaurant' } }] };
+    }
+    if (query.includes('Pho')) {
+      return { elements: [{ id: 23, lat: 52.5, lon: 13.4, tags: { name: 'Pho Bar', amenity: 'restaurant' } }] };
+    }
+    if (query.includes('name"~')) return { elements: [] };
+    return { elements: [{ id: 7, lat: 52.5, lon: 13.4, tags: { name: 'Stub Diner', amenity: 'restaurant' } }] };
+  }
+};
+
+// A locals session with one guest, Bo, and helpers to suggest and review as them
+async function suggestionSession(server) {
+  const created = await createSession(server.request, { mode: 'locals', location: 'Berlin' });
+  const asHost = { headers: { 'X-Host-Token': created.hostToken } };
+  const { body: guest } = await server.request('POST', `/api/session/${created.id}/join`, { body: { name: 'Bo' } });
+  const suggest = name => server.request('POST', `/api/session/${created.id}/suggestions`, {
+    body: { participantId: guest.id, name },
+    headers: { 'X-Participant-Token': guest.token }
+  });
+  const review = (suggestionId, action) => server.request('POST', `/api/session/${created.id}/suggestions/${suggestionId}/${action}`, asHost);
+  return { created, asHost, guest, suggest, review };
+}
+
+test('guests suggest places by name and the host approves or rejects them', async () => {
+  const server = await startServer({ providers: suggestionProviders });
+
+  try {
+    const { created, asHost, guest, suggest, review } = await suggestionSession(server);
+    const socket = await server.connect(created.id);
+
+    const announced = nextEvent(socket, 'suggestion_added');
+    const ramen = await suggest('Ramen');
+    assert.equal(ramen.status, 200);
+    assert.equal(ramen.body.suggestion.place.name, 'Ramen Ya');
+    assert.equal(ramen.body.suggestion.suggestedBy, 'Bo');
+    assert.equal((await announced).suggestion.id, ramen.body.suggestion.id);
+
+    assert.equal((await suggest('Ramen')).status, 409);
+    assert.equal((await suggest('Sushi')).status, 404);
+    assert.equal((await server.request('POST', `/api/session/${created.id}/suggestions`, { body: { participantId: guest.id, name: 'Ramen' } })).status, 403);
+
+    // With no draft yet, the approved place waits for the first pick
+    assert.equal((await review(ramen.body.suggestion.id, 'approve')).body.suggestion.status, 'approved');
+    const { body: session } = await server.request('GET', `/api/session/${created.id}`);
+    assert.equal(session.places, null);
+    assert.deepEqual(session.suggestions.map(s => s.status), ['approved']);
+    assert.equal((await review(ramen.body.suggestion.id, 'approve')).status, 409);
+    assert.equal((await suggest('Ramen')).status, 409);
+
+    const drafted = await server.request('POST', `/api/session/${created.id}/draft`, asHost);
+    assert.deepEqual(drafted.body.places.map(p => p.name), ['Ramen Ya', 'Stub Diner']);
+    assert.deepEqual(drafted.body.places.map(p => p.pinned || false), [true, false]);
+    assert.equal(drafted.body.places[0].suggested_by, 'Bo');
+
+    // Once there's a draft, approval appends to it and tells everyone
+    const taco = await suggest('Taco');
+    const ballot = nextEvent(socket, 'ballot_updated');
+    assert.equal((await review(taco.body.suggestion.id, 'approve')).status, 200);
+    assert.deepEqual((await ballot).places.map(p => p.name), ['Ramen Ya', 'Stub Diner', 'Taco Loco']);
+
+    const pho = await suggest('Pho');
+    const reviewed = nextEvent(socket, 'suggestion_reviewed');
+    assert.equal((await review(pho.body.suggestion.id, 'reject')).body.suggestion.status, 'rejected');
+    assert.equal((await reviewed).suggestion.status, 'rejected');
+    assert.equal((await server.request('POST', `/api/session/${created.id}/suggestions/${pho.body.suggestion.id}/reject`)).status, 403);
+
+    // Approved places survive a re-roll and make it onto the ballot
+    await server.request('POST', `/api/session/${created.id}/draft`, { body: { pinned: ['osm_21', 'osm_22'] }, ...asHost });
+    const generated = await server.request('POST', `/api/session/${created.id}/generate`, asHost);
+    assert.deepEqual(generated.body.questions.map(p => p.name), ['Ramen Ya', 'Taco Loco', 'Stub Diner']);
+    assert.equal((await suggest('Taco')).status, 409);
+  } finally {
+    await server.close();
+  }
+});
+
+test('places approved before a draft are on the ballot when voting opens without one', async () => {
+  const server = await startServer({ providers: suggestionProviders });
+
+  try {
+    const { created, asHost, suggest, review } = await suggestionSession(server);
+    const ramen = await suggest('Ramen');
+    await review(ramen.body.suggestion.id, 'approve');
+
+    const generated = await server.request('POST', `/api/session/${created.id}/generate`, asHost);
+    assert.equal(generated.status, 200);
+    assert.deepEqual(generated.body.questions.map(p => p.name), ['Ramen Ya', 'Stub Diner']);
+    assert.ok(generated.body.questions.every(p => !('pinned' in p)));
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCache } from '../services/cache.js';
+import { createStorage } from '../storage/index.js';
+
+test('computes once, then serves the stored value', async () => {
+  const db = await createStorage({ backend: 'memory' });
+  const cache = createCache(db.cache);
+  let computed = 0;
+  const compute = async () => ({ n: ++computed });
+
+  assert.deepEqual(await cache.remember('k', 60, compute), { n: 1 });
+  assert.deepEqual(await cache.remember('k', 60, compute), { n: 1 });
+  assert.equal(computed, 1);
+});
+
+test('does not cache null results or errors', async () => {
+  const db = await createStorage({ backend: 'memory' });
+  const cache = createCache(db.cache);
+  let computed = 0;
+
+  assert.equal(await cache.remember('missing', 60, async () => { computed++; return null; }), null);
+  assert.equal(await cache.remember('missing', 60, async () => { computed++; return null; }), null);
+  await assert.rejects(cache.remember('broken', 60, async () => { throw new Error('down'); }));
+  assert.equal(await cache.remember('broken', 60, async () => 'recovered'), 'recovered');
+  assert.equal(computed, 2);
+});
+
+test('expired entries are recomputed and purged', async () => {
+  const db = await createStorage({ backend: 'memory' });
+  const cache = createCache(db.cache);
+  const past = Math.floor(Date.now() / 1000) - 1;
+  await db.cache.set('old', 'stale', past);
+
+  assert.equal(await cache.remember('old', 60, async () => 'fresh'), 'fresh');
+  await db.cache.set('gone', 'stale', past);
+  assert.equal(await cache.purgeExpired(), 1);
+});
+
+test('the SQLite cache survives a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-cache-'));
+  const sqlitePath = path.join(dir, 'vibe.db');
+
+  try {
+    const first = await createStorage({ backend: 'sqlite', sqlitePath });
+    await createCache(first.cache).remember('geocode:oakland', 60, async () => ({ lat: 37.8, lon: -122.27 }));
+    await first.close();
+
+    const second = await createStorage({ backend: 'sqlite', sqlitePath });
+    const value = await createCache(second.cache).remember('geocode:oakland', 60, async () => assert.fail('recomputed'));
+    assert.deepEqual(value, { lat: 37.8, lon: -122.27 });
+    await second.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CATEGORIES } from '../services/categories.js';
+import { QUESTION_BANKS, generateQuestions } from '../services/questions.js';
+
+test('every category asks the questions from its own bank', () => {
+  for (const [id, category] of Object.entries(CATEGORIES)) {
+    assert.equal(category.questionBank, id, `${id} borrows the ${category.questionBank} bank`);
+    assert.ok(QUESTION_BANKS[id]?.length >= 10, `${id} needs at least 10 questions`);
+    assert.deepEqual(generateQuestions(id).map(q => q.id).sort((a, b) => a - b), QUESTION_BANKS[id].map(q => q.id));
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilters, matchesFilters } from '../services/filters.js';
+
+test('normalizes the filters a host sends', () => {
+  const { filters, errors } = parseFilters({
+    cuisineInclude: 'Thai, Ice Cream',
+    cuisineExclude: ['steak_house'],
+    diet: ['vegetarian'],
+    wheelchair: true,
+    outdoorSeating: false
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, {
+    cuisineInclude: ['thai', 'ice_cream'],
+    cuisineExclude: ['steak_house'],
+    diet: ['vegetarian'],
+    wheelchair: true
+  });
+  assert.deepEqual(parseFilters({ diet: [] }), { filters: null, errors: [] });
+});
+
+test('rejects malformed filters', () => {
+  const { errors } = parseFilters({ diet: ['paleo'], wheelchair: 'yes', price: '$$', openAtPlannedTime: true });
+
+  assert.deepEqual(errors.map(e => e.field).sort(), [
+    'filters.diet',
+    'filters.openAtPlannedTime',
+    'filters.price',
+    'filters.wheelchair'
+  ]);
+});
+
+test('matches OSM tags against the filters', () => {
+  const thai = { cuisine: 'thai;noodle', 'diet:vegan': 'yes', wheelchair: 'yes', opening_hours: 'Mo-Su 17:00-22:00' };
+  const steak = { cuisine: 'steak_house', 'diet:vegetarian': 'no', outdoor_seating: 'yes' };
+
+  assert.equal(matchesFilters(thai, null), true);
+  assert.equal(matchesFilters(thai, { cuisineInclude: ['thai'] }), true);
+  assert.equal(matchesFilters(steak, { cuisineInclude: ['thai'] }), false);
+  assert.equal(matchesFilters(steak, { cuisineExclude: ['steak_house'] }), false);
+  // Vegan places count as vegetarian
+  assert.equal(matchesFilters(thai, { diet: ['vegetarian'] }), true);
+  assert.equal(matchesFilters(steak, { diet: ['vegetarian'] }), false);
+  assert.equal(matchesFilters(steak, { wheelchair: true }), false);
+  assert.equal(matchesFilters(steak, { outdoorSeating: true }), true);
+
+  // Closed at the planned time drops a place; unknown hours keep it
+  assert.equal(matchesFilters(thai, { openAtPlannedTime: true }, '2026-10-19T12:00'), false);
+  assert.equal(matchesFilters(thai, { openAtPlannedTime: true }, '2026-10-19T19:00'), true);
+  assert.equal(matchesFilters(steak, { openAtPlannedTime: true }, '2026-10-19T12:00'), true);
+});
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io as connectSocket } from 'socket.io-client';
+import { createApp } from '../app.js';
+import { createStorage } from '../storage/index.js';
+import { createProviders } from '../providers/index.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Build the app on a random port against a throwaway SQLite file, with
+// providers replaying server/fixtures so nothing touches the network, or
+// with the given stub providers. config overrides go on top of the defaults.
+export async function startServer({ providers = createProviders({ mode: 'replay', fixturesDir }), config = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-test-'));
+  const db = await createStorage({ backend: 'sqlite', sqlitePath: path.join(dir, 'vibe.db') });
+  const { httpServer, close: closeApp } = createApp({ db, providers, config: { rateLimit: false, ...config } });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  const sockets = [];
+
+  // JSON request helper; resolves to { status, body }
+  async function request(method, url, { body, headers = {} } = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Socket joined to a session room
+  async function connect(sessionId) {
+    const socket = connectSocket(baseUrl, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    await new Promise(resolve =>
+      socket.emit('join_session', sessionId, resolve)
+    );
+    return socket;
+  }
+
+  async function close() {
+    for (const socket of sockets) socket.disconnect();
+    await closeApp();
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, db, request, connect, close };
+}
+
+// Resolve with the next payload of a socket event, failing after a timeout
+export function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// Create a session and return its ids and tokens
+export async function createSession(request, overrides = {}) {
+  const { status, body } = await request('POST', '/api/session', {
+    body: { mode: 'discover', category: 'food', hostName: 'Host', ...overrides }
+  });
+  if (status !== 200) throw new Error(`Could not create session: ${body.error}`);
+  return body;
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isOpenAt, parsePlannedAt, hoursStatus } from '../services/openingHours.js';
+
+// 2026-10-19 is a Monday
+const monday = time => `2026-10-19T${time}`;
+const saturday = time => `2026-10-24T${time}`;
+
+test('reads planned local times', () => {
+  assert.deepEqual(
+    { ...parsePlannedAt('2026-10-19T19:30'), date: undefined },
+    { month: 9, day: 1, minutes: 19 * 60 + 30, date: undefined }
+  );
+  assert.equal(parsePlannedAt('2026-02-30T10:00'), null);
+  assert.equal(parsePlannedAt('tonight'), null);
+});
+
+test('checks weekday ranges and time spans', () => {
+  const hours = 'Mo-Fr 11:00-14:00,17:00-22:00; Sa 12:00-23:00';
+
+  assert.equal(isOpenAt(hours, monday('12:00')), true);
+  assert.equal(isOpenAt(hours, monday('15:30')), false);
+  assert.equal(isOpenAt(hours, monday('22:00')), false);
+  assert.equal(isOpenAt(hours, saturday('22:59')), true);
+  assert.equal(isOpenAt(hours, '2026-10-25T13:00'), false);
+});
+
+test('later rules override earlier ones and off closes a day', () => {
+  assert.equal(isOpenAt('Mo-Su 09:00-17:00; Mo off', monday('10:00')), false);
+  assert.equal(isOpenAt('Mo-Su 09:00-17:00; Mo off', '2026-10-20T10:00'), true);
+  assert.equal(isOpenAt('24/7', monday('03:00')), true);
+});
+
+test('spans past midnight carry into the next day', () => {
+  const hours = 'Fr 18:00-02:00';
+
+  assert.equal(isOpenAt(hours, saturday('01:30')), true);
+  assert.equal(isOpenAt(hours, saturday('02:30')), false);
+});
+
+test('unknown or unsupported hours are neither open nor closed', () => {
+  assert.equal(isOpenAt(null, monday('12:00')), null);
+  assert.equal(isOpenAt('sunrise-sunset', monday('11:00')), null);
+  assert.equal(isOpenAt('Mo[1] 10:00-12:00', monday('11:00')), null);
+  assert.equal(isOpenAt('Mo-Fr 10:00-12:00 || "by appointment"', monday('11:00')), null);
+  // Holiday rules are skipped rather than making the whole value unknown
+  assert.equal(isOpenAt('Mo-Fr 09:00-17:00; PH off', monday('11:00')), true);
+});
+
+test('month selectors, additional rules, open ends and comments', () => {
+  const winter = 'Mo-Su 08:00-20:00; Nov-Mar Mo-Su 09:00-17:00';
+  assert.equal(isOpenAt(winter, monday('18:00')), true);
+  assert.equal(isOpenAt(winter, '2026-12-01T18:00'), false);
+
+  // ", Sa ..." adds Saturday hours instead of replacing the weekday ones
+  assert.equal(isOpenAt('Mo-Fr 10:00-18:00, Sa 10:00-14:00', saturday('11:00')), true);
+  assert.equal(isOpenAt('Mo,We 10:00-12:00', monday('11:00')), true);
+  assert.equal(isOpenAt('Mo-Su 17:00+', monday('20:00')), true);
+  assert.equal(isOpenAt('Mo-Fr 09:00-17:00 "call ahead"', monday('10:00')), true);
+});
+
+test('describes hours in plain words', () => {
+  const hours = 'Tu-Su 11:00-15:00,17:00-23:00';
+
+  assert.deepEqual(hoursStatus(hours, '2026-10-20T19:00'), { open: true, label: 'open until 11pm' });
+  assert.deepEqual(hoursStatus(hours, '2026-10-20T16:00'), { open: false, label: 'opens at 5pm' });
+  assert.deepEqual(hoursStatus(hours, '2026-10-20T23:30'), { open: false, label: 'closed after 11pm' });
+  assert.deepEqual(hoursStatus(hours, monday('19:00')), { open: false, label: 'closed Mondays' });
+
+  // Without a planned time, sum up the week
+  assert.deepEqual(hoursStatus(hours, null), { open: null, label: 'closed Mondays' });
+  assert.equal(hoursStatus('Mo-Su 11:00-22:00', null).label, 'daily 11am–10pm');
+  assert.equal(hoursStatus('24/7', null).label, 'open 24/7');
+  assert.equal(hoursStatus('Mo-Fr 09:00-17:00', null).label, 'closed weekends');
+  assert.equal(hoursStatus('Tu-Sa 09:00-17:00', null).label, 'closed Mondays and Sundays');
+  // Without a date the season can't be placed, so it isn't summarized as closed
+  assert.deepEqual(hoursStatus('Apr-Oct Mo-Su 10:00-18:00', null), { open: null, label: 'seasonal hours' });
+  assert.equal(hoursStatus('Mo-Fr 09:00-17:00; Dec Mo-Fr 09:00-13:00', null).label, 'seasonal hours');
+  assert.deepEqual(hoursStatus('sunrise-sunset', monday('12:00')), { open: null, label: null });
+});
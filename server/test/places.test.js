@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache } from '../services/cache.js';
+import { createPlacesService } from '../services/places.js';
+import { createStorage } from '../storage/index.js';
+
+const berlin = { features: [{ geometry: { coordinates: [13.4, 52.5] } }] };
+
+async function placesWith(elements) {
+  const db = await createStorage({ backend: 'memory' });
+  const providers = {
+    geocode: async () => berlin,
+    overpass: async () => ({ elements })
+  };
+  return createPlacesService({ providers, cache: createCache(db.cache), ttl: { geocodeSeconds: 60, placesSeconds: 60 } });
+}
+
+test('searchPlaces turns Overpass matches into places for verifying recommendations', async () => {
+  const places = await placesWith([
+    { id: 7, lat: 52.5, lon: 13.4, tags: { name: 'Pizza Nostra', amenity: 'restaurant', cuisine: 'pizza', opening_hours: 'Mo-Su 12:00-22:00' } },
+    { id: 8, lat: 52.5, lon: 13.4, tags: { amenity: 'restaurant' } }
+  ]);
+
+  const found = await places.searchPlaces('pizza', 'Berlin');
+  assert.equal(found.length, 1);
+  assert.equal(found[0].name, 'Pizza Nostra');
+  assert.equal(found[0].hours, 'Mo-Su 12:00-22:00');
+  assert.equal(found[0].osm_id, 7);
+});
+
+test('fetchLocalPlaces keeps every pinned place and draws only the rest', async () => {
+  const elements = Array.from({ length: 30 }, (_, i) => ({
+    id: 100 + i,
+    lat: 52.5,
+    lon: 13.4,
+    tags: { name: `Spot ${i}`, amenity: 'restaurant' }
+  }));
+  const places = await placesWith(elements);
+  const pinned = Array.from({ length: 15 }, (_, i) => ({ id: `custom_${i}`, name: `Pinned ${i}`, pinned: true }));
+
+  const few = await places.fetchLocalPlaces('food', 'Berlin', 1000, { seed: 1, pinned: pinned.slice(0, 2) });
+  assert.equal(few.length, 12);
+
+  // More pinned places than the usual ballot size: none are dropped, nothing new is drawn
+  const many = await places.fetchLocalPlaces('food', 'Berlin', 1000, { seed: 1, pinned });
+  assert.deepEqual(many.map(p => p.id), pinned.map(p => p.id));
+});
+
+test('findPlacesByName caches each Overpass pattern separately', async () => {
+  const queries = [];
+  const db = await createStorage({ backend: 'memory' });
+  const providers = {
+    geocode: async () => berlin,
+    overpass: async (query) => {
+      queries.push(query);
+      return { elements: [{ id: queries.length, lat: 52.5, lon: 13.4, tags: { name: `Match ${queries.length}`, amenity: 'bar' } }] };
+    }
+  };
+  const places = createPlacesService({ providers, cache: createCache(db.cache), ttl: { geocodeSeconds: 60, placesSeconds: 60 } });
+
+  const dotted = await places.findPlacesByName('St. Oberholz', 'Berlin', 1000);
+  const plain = await places.findPlacesByName('St Oberholz', 'Berlin', 1000);
+  assert.equal(queries.length, 2);
+  assert.notDeepEqual(plain, dotted);
+
+  // The same search again is served from the cache
+  assert.deepEqual(await places.findPlacesByName('St Oberholz', 'Berlin', 1000), plain);
+  assert.equal(queries.length, 2);
+});
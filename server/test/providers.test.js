@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProviders, ProviderError } from '../providers/index.js';
+
+// fetch stub answering from a list of { status, body } (or an Error to throw),
+// recording which URL each attempt went to
+function scriptedFetch(responses) {
+  const urls = [];
+  async function fetch(url) {
+    urls.push(url);
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { status: next.status, text: async () => JSON.stringify(next.body) };
+  }
+  return { fetch, urls };
+}
+
+const mirrors = ['http://primary.test/api/interpreter', 'http://mirror.test/api/interpreter'];
+
+test('overpass retries rate limits and timeouts on the next mirror', async () => {
+  const timeout = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  const { fetch, urls } = scriptedFetch([
+    { status: 429, body: 'slow down' },
+    timeout,
+    { status: 200, body: { elements: [{ id: 1 }] } }
+  ]);
+  const providers = createProviders({ overpassUrls: mirrors, overpassBackoffMs: 0, fetch });
+
+  const data = await providers.overpass('[out:json];');
+  assert.deepEqual(data.elements, [{ id: 1 }]);
+  assert.deepEqual(urls, [mirrors[0], mirrors[1], mirrors[0]]);
+});
+
+test('overpass gives up with the last error once retries run out', async () => {
+  const { fetch, urls } = scriptedFetch([
+    { status: 504, body: '' },
+    { status: 504, body: '' },
+    { status: 429, body: '' }
+  ]);
+  const providers = createProviders({ overpassUrls: mirrors, overpassRetries: 2, overpassBackoffMs: 0, fetch });
+
+  await assert.rejects(providers.overpass('[out:json];'), err => err instanceof ProviderError && err.status === 429);
+  assert.equal(urls.length, 3);
+});
+
+test('overpass does not retry a bad query', async () => {
+  const { fetch, urls } = scriptedFetch([{ status: 400, body: 'parse error' }]);
+  const providers = createProviders({ overpassUrls: mirrors, overpassBackoffMs: 0, fetch });
+
+  await assert.rejects(providers.overpass('nonsense'), err => err.status === 400);
+  assert.equal(urls.length, 1);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, shuffle } from '../services/random.js';
+
+const letters = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+test('the same seed gives the same shuffle', () => {
+  assert.deepEqual(shuffle(letters, createRng(42)), shuffle(letters, createRng(42)));
+  assert.notDeepEqual(shuffle(letters, createRng(42)), shuffle(letters, createRng(43)));
+});
+
+test('shuffles into a new array holding the same items', () => {
+  const shuffled = shuffle(letters, createRng(7));
+  assert.deepEqual([...shuffled].sort(), letters);
+  assert.deepEqual(letters, ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+});
+
+test('every order is about equally likely', () => {
+  const rng = createRng(1);
+  const counts = {};
+  for (let i = 0; i < 6000; i++) {
+    const key = shuffle(['x', 'y', 'z'], rng).join('');
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  // 6 orders, ~1000 each; the old sort(() => Math.random() - 0.5) skews well outside this
+  assert.equal(Object.keys(counts).length, 6);
+  for (const count of Object.values(counts)) {
+    assert.ok(count > 850 && count < 1150, `order seen ${count} times`);
+  }
+});
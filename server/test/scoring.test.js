@@ -0,0 +1,265 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AGGREGATION_METHODS, computeLocalsResults, instantRunoff, runoffCandidates, VOTE_WEIGHTS } from '../services/scoring.js';
+
+const place = (id, cuisine = null) => ({ id, name: `Place ${id}`, cuisine });
+
+// ballot(places, 'love,nope', 'like,meh') -> one participant per vote string, votes in place order
+function ballot(places, ...votesPerParticipant) {
+  return votesPerParticipant.map((votes, i) => ({
+    name: `P${i + 1}`,
+    answers: Object.fromEntries(
+      votes.split(',').map((vote, j) => [places[j].id, vote]).filter(([, vote]) => vote)
+    )
+  }));
+}
+
+const ids = list => list.map(p => p.id);
+
+test('scores places with the vote weights', () => {
+  const places = [place('a')];
+  const results = computeLocalsResults(places, ballot(places, 'love', 'like', 'nope', 'meh'));
+  const scored = results.best_bets[0];
+
+  assert.equal(scored.score, VOTE_WEIGHTS.love + VOTE_WEIGHTS.like + VOTE_WEIGHTS.nope + VOTE_WEIGHTS.meh);
+  assert.equal(scored.score, 3);
+  assert.equal(scored.voteBreakdown, '1 love, 1 like, 1 meh, 1 nope');
+});
+
+test('counts a missing vote as unknown', () => {
+  const places = [place('a'), place('b')];
+  const results = computeLocalsResults(places, ballot(places, 'love,', 'love,meh'));
+  const b = results.places_to_try.find(p => p.id === 'b');
+
+  assert.equal(b.unknownCount, 1);
+  assert.equal(b.mehCount, 1);
+});
+
+test('puts unanimous love/like with at least one love in shared favorites', () => {
+  const places = [place('fav'), place('allLike'), place('mixed')];
+  const results = computeLocalsResults(places, ballot(places,
+    'love,like,love',
+    'like,like,meh'
+  ));
+
+  assert.deepEqual(ids(results.shared_favorites), ['fav']);
+  // everyone liked it but nobody loved it: positive, yet not a favorite or a place to try
+  assert.deepEqual(ids(results.best_bets), ['allLike']);
+  assert.deepEqual(ids(results.places_to_try), ['mixed']);
+  assert.equal(results.needs_ai_fallback, false);
+  assert.match(results.group_summary, /1 shared favorite/);
+});
+
+test('places to try are nope-free places that are not unanimous', () => {
+  const places = [place('a'), place('b'), place('c')];
+  const results = computeLocalsResults(places, ballot(places,
+    'love,unknown,nope',
+    'meh,meh,love'
+  ));
+
+  assert.deepEqual(ids(results.places_to_try), ['a', 'b']);
+  assert.deepEqual(ids(results.best_bets), ['c']);
+  assert.deepEqual(results.shared_favorites, []);
+});
+
+test('best bets skip non-positive scores and keep at most five', () => {
+  const places = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(id => place(id));
+  const results = computeLocalsResults(places, ballot(places,
+    'love,love,love,love,love,love,like',
+    'nope,nope,nope,nope,nope,nope,nope'
+  ));
+
+  assert.equal(results.best_bets.length, 5);
+  assert.ok(results.best_bets.every(p => p.score > 0));
+  assert.ok(!ids(results.best_bets).includes('g'));
+  assert.deepEqual(results.fallback_picks, []);
+});
+
+test('boosts places whose cuisine the group liked elsewhere', () => {
+  const places = [place('loved', 'thai'), place('plain', 'pizza'), place('boosted', 'thai;noodle')];
+  const results = computeLocalsResults(places, ballot(places,
+    'love,love,love',
+    'love,love,like',
+    'love,like,like'
+  ));
+
+  const [first, second] = results.shared_favorites;
+  const plain = results.shared_favorites.find(p => p.id === 'plain');
+  const boosted = results.shared_favorites.find(p => p.id === 'boosted');
+
+  // plain outscores boosted on votes, but the group also went for thai on "loved"
+  assert.ok(plain.score > boosted.score);
+  assert.ok(boosted.boostedScore > plain.boostedScore);
+  assert.deepEqual([first.id, second.id], ['loved', 'boosted']);
+  assert.equal(results.cuisine_overlap[0], 'thai');
+});
+
+test('boosts by the category scoring hint', () => {
+  const places = [
+    { id: 'a', name: 'A', amenity: 'cinema' },
+    { id: 'b', name: 'B', amenity: 'theatre' },
+    { id: 'c', name: 'C', amenity: 'cinema' }
+  ];
+  const votes = ballot(places, 'love,like,meh', 'like,like,meh');
+
+  const byAmenity = computeLocalsResults(places, votes, { boostBy: 'amenity' });
+  const unboosted = computeLocalsResults(places, votes, { boostBy: null });
+
+  // c was only meh'd, but both participants went for the other cinema
+  assert.equal(byAmenity.places_to_try.find(p => p.id === 'c').boostedScore, 2);
+  assert.equal(unboosted.places_to_try.find(p => p.id === 'c').boostedScore, 0);
+});
+
+test('falls back to the least-hated picks and asks for AI help when everything is noped', () => {
+  const places = [place('a'), place('b'), place('c'), place('d')];
+  const results = computeLocalsResults(places, ballot(places,
+    'nope,nope,nope,love',
+    'nope,nope,meh,nope',
+    'nope,meh,nope,nope'
+  ));
+
+  assert.deepEqual(results.shared_favorites, []);
+  assert.deepEqual(results.places_to_try, []);
+  assert.deepEqual(results.best_bets, []);
+  // fewest nopes first, then most loves
+  assert.deepEqual(ids(results.fallback_picks), ['d', 'b', 'c']);
+  assert.equal(results.needs_ai_fallback, true);
+  assert.match(results.group_summary, /least controversial/);
+});
+
+test('does not ask for AI help when a fallback pick is as loved as it is noped', () => {
+  const places = [place('a'), place('b')];
+  const results = computeLocalsResults(places, ballot(places,
+    'like,nope',
+    'nope,nope'
+  ));
+
+  assert.deepEqual(ids(results.fallback_picks), ['a', 'b']);
+  assert.equal(results.needs_ai_fallback, false);
+});
+
+test('explains each place score, its boosts and its section', () => {
+  const places = [place('loved', 'thai'), place('boosted', 'thai;noodle'), place('noped', 'pizza')];
+  const results = computeLocalsResults(places, ballot(places,
+    'love,meh,nope',
+    'like,,love'
+  ));
+
+  const boosted = results.places_to_try.find(p => p.id === 'boosted');
+  assert.deepEqual(boosted.explanation.votes, [
+    { vote: 'meh', count: 1, weight: VOTE_WEIGHTS.meh, points: 0 },
+    { vote: 'unknown', count: 1, weight: VOTE_WEIGHTS.unknown, points: 0 }
+  ]);
+  // the thai boost comes from the group loving and liking "loved"
+  assert.deepEqual(boosted.explanation.boosts, [
+    { by: 'cuisine', value: 'thai', points: 2, sources: [{ id: 'loved', name: 'Place loved', points: 2 }] }
+  ]);
+  assert.equal(boosted.boostedScore, boosted.score + 2);
+  assert.equal(boosted.explanation.section, 'places_to_try');
+  assert.deepEqual(boosted.explanation.voters, [{ name: 'P1', vote: 'meh' }, { name: 'P2', vote: 'unknown' }]);
+
+  const loved = results.shared_favorites[0];
+  assert.equal(loved.explanation.section, 'shared_favorites');
+  assert.match(loved.explanation.rule, /everyone loved or liked it/);
+
+  const noped = results.best_bets[0];
+  assert.equal(noped.id, 'noped');
+  assert.equal(noped.explanation.section, 'best_bets');
+  assert.equal(noped.explanation.votes.reduce((sum, c) => sum + c.points, 0), noped.score);
+});
+
+test('builds individual taste profiles', () => {
+  const places = [place('a', 'thai'), place('b', 'thai'), place('c', 'pizza'), place('d')];
+  const [profile] = computeLocalsResults(places, ballot(places, 'love,like,love,unknown')).individual_profiles;
+
+  assert.equal(profile.name, 'P1');
+  assert.deepEqual(ids(profile.lovedPlaces), ['a', 'c']);
+  assert.deepEqual(ids(profile.likedPlaces), ['b']);
+  assert.deepEqual(ids(profile.wantToTryPlaces), ['d']);
+  assert.deepEqual(profile.topCuisines, ['thai', 'pizza']);
+  assert.equal(profile.totalLoved, 2);
+});
+
+test('ignores votes for places that are not on the ballot', () => {
+  const places = [place('a')];
+  const [profile] = computeLocalsResults(places, [{ name: 'P1', answers: { a: 'love', gone: 'love' } }]).individual_profiles;
+
+  assert.deepEqual(ids(profile.lovedPlaces), ['a']);
+});
+
+test('each aggregation method names itself and picks its own winner', () => {
+  const places = [place('a'), place('b'), place('c')];
+  const votes = ballot(places,
+    'love,like,love',
+    'love,like,meh',
+    'love,like,meh',
+    'nope,like,like'
+  );
+  // a has the most points and tops everyone's lists but one, b is liked by
+  // everyone, c is loved once and never noped
+  const expected = { weighted: 'a', approval: 'b', borda: 'a', maximin: 'b', veto: 'b' };
+
+  for (const [method, winnerId] of Object.entries(expected)) {
+    const results = computeLocalsResults(places, votes, { boostBy: null, method });
+    assert.equal(results.aggregation.method, method);
+    assert.equal(results.aggregation.label, AGGREGATION_METHODS[method].label);
+    assert.equal(results.winner.id, winnerId, method);
+    assert.match(results.winner_explanation, new RegExp(`Place ${winnerId}`));
+  }
+});
+
+test('strict veto rules out noped places', () => {
+  const places = [place('a'), place('b')];
+  const votes = ballot(places, 'love,love', 'like,nope', 'nope,nope');
+
+  const weighted = computeLocalsResults(places, votes);
+  const veto = computeLocalsResults(places, votes, { method: 'veto' });
+
+  assert.deepEqual(ids(weighted.best_bets), ['a']);
+  assert.deepEqual(veto.best_bets, []);
+  // everything was vetoed, so the least-hated pick wins
+  assert.equal(veto.winner.id, 'a');
+  assert.match(veto.winner_explanation, /every place got at least one nope/);
+});
+
+test('scores by weighted sum when no or an unknown method is given', () => {
+  const places = [place('a')];
+  for (const method of [undefined, null, 'dictator', 'toString']) {
+    const results = computeLocalsResults(places, ballot(places, 'love'), { method });
+    assert.equal(results.aggregation.method, 'weighted');
+    assert.equal(results.winner.rankScore, results.winner.boostedScore);
+  }
+});
+
+test('runoff candidates come from the top of the results, without repeats', () => {
+  const results = {
+    shared_favorites: [place('a')],
+    places_to_try: [place('b'), place('a')],
+    best_bets: [place('c'), place('d')]
+  };
+  assert.deepEqual(runoffCandidates(results, 3), ['a', 'b', 'c']);
+  assert.deepEqual(runoffCandidates({ best_bets: [place('c')] }, 3), ['c']);
+});
+
+test('instant runoff elects an outright majority in one count', () => {
+  const tally = instantRunoff(['a', 'b', 'c'], [['b', 'a'], ['b'], ['a', 'b']]);
+  assert.equal(tally.winnerId, 'b');
+  assert.deepEqual(tally.steps, [{ counts: { a: 1, b: 2, c: 0 } }]);
+  assert.deepEqual(tally.standings, ['b', 'a', 'c']);
+});
+
+test('instant runoff transfers eliminated ballots to the next choice', () => {
+  // c is out first; its voter prefers b next, giving b the majority
+  const tally = instantRunoff(['a', 'b', 'c'], [['a'], ['a'], ['b'], ['b'], ['c', 'b']]);
+  assert.equal(tally.winnerId, 'b');
+  assert.deepEqual(tally.steps.map(s => s.eliminated), ['c', undefined]);
+  assert.deepEqual(tally.steps[1].counts, { a: 2, b: 3 });
+  assert.deepEqual(tally.standings, ['b', 'a', 'c']);
+});
+
+test('instant runoff breaks ties by seeding', () => {
+  // a and b split evenly; b was seeded lower in the main vote, so it goes
+  const tally = instantRunoff(['a', 'b'], [['a', 'b'], ['b', 'a']]);
+  assert.equal(tally.winnerId, 'a');
+  assert.deepEqual(tally.steps[0], { counts: { a: 1, b: 1 }, eliminated: 'b', tie: true });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../storage/index.js';
+
+// Run a test body against the memory backend and a throwaway SQLite file
+async function eachBackend(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibe-storage-'));
+  try {
+    for (const options of [{ backend: 'memory' }, { backend: 'sqlite', sqlitePath: path.join(dir, 'vibe.db') }]) {
+      const db = await createStorage(options);
+      try {
+        await fn(db, options.backend);
+      } finally {
+        await db.close();
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function sessionWithGuests(db, ...names) {
+  await db.sessions.create({
+    id: 's1', mode: 'locals', category: 'food', location: 'Berlin', location_radius: null,
+    host_name: 'Ana', host_token: 'host', expires_at: Math.floor(Date.now() / 1000) + 3600
+  });
+  for (const name of names) {
+    await db.participants.create({ id: name, session_id: 's1', name, token: `${name}-token`, rejoin_code: name.toUpperCase() });
+  }
+}
+
+const suggest = (db, id, participantId) => db.suggestions.create({
+  id, session_id: 's1', participant_id: participantId, suggested_by: participantId, place: JSON.stringify({ id: `osm_${id}` })
+});
+
+test('removing a participant drops their suggestions', async () => {
+  await eachBackend(async (db, backend) => {
+    await sessionWithGuests(db, 'bo', 'cy');
+    await suggest(db, 'sb', 'bo');
+    await suggest(db, 'sc', 'cy');
+
+    await db.participants.remove('bo');
+
+    assert.deepEqual((await db.suggestions.list('s1')).map(s => s.id), ['sc'], backend);
+    assert.equal(await db.suggestions.get('s1', 'sb'), null, backend);
+  });
+});
+
+test('merging participants moves suggestions to the one kept', async () => {
+  await eachBackend(async (db, backend) => {
+    await sessionWithGuests(db, 'bo', 'bo2');
+    await suggest(db, 'sb', 'bo2');
+
+    await db.participants.merge('bo', 'bo2');
+
+    assert.equal((await db.suggestions.get('s1', 'sb')).participant_id, 'bo', backend);
+  });
+});